@@ -0,0 +1,410 @@
+/**
+ * Capa de almacenamiento
+ * - Claves con espacio de nombres (proyecto:<nombre>) y valores siempre en JSON
+ * - Versión de esquema y migraciones que se ejecutan al cargar la página
+ * - Datos dañados: se apartan en proyecto:corrupt:<nombre> y se usa el valor por defecto
+ * - Avisos de cuota llena o almacenamiento no disponible (evento storageProblem)
+ * - IndexedDB (FileStore) para datos grandes, como las imágenes subidas a la galería
+ * - Se carga sin defer en el <head>, antes de sincronizacion.js y tema.js
+ */
+
+// ===== ALMACENAMIENTO LOCAL =====
+const AppStorage = {
+    namespace: 'proyecto',
+    schemaVersion: 2,
+    eventName: 'storageProblem',
+    area: null,
+    problems: [],
+
+    /**
+     * Claves conocidas: texto para los avisos y formato que tenían antes del esquema 1
+     * (json, text, number o boolean guardado como 'true'/'false')
+     */
+    keys: {
+        dynamicListItems: { label: 'la lista de elementos', legacy: 'json' },
+        theme: { label: 'el tema', legacy: 'text' },
+        customThemes: { label: 'los temas personalizados', legacy: 'json' },
+        messagesSent: { label: 'el contador de mensajes', legacy: 'number' },
+        contactHistory: { label: 'el historial de contacto', legacy: 'json' },
+        gestionView: { label: 'la vista de gestión', legacy: 'text' },
+        gestionBoardGroup: { label: 'la agrupación del tablero', legacy: 'text' },
+        dueReminders: { label: 'los recordatorios', legacy: 'json' },
+        dueRemindersBrowser: { label: 'los avisos del navegador', legacy: 'boolean' },
+        calcAngleMode: { label: 'el modo de ángulos', legacy: 'text' },
+        calcProgrammer: { label: 'la calculadora de programador', legacy: 'json' },
+        calcMode: { label: 'el modo de la calculadora', legacy: 'text' },
+        calcHistory: { label: 'el historial de la calculadora', legacy: 'json' },
+        unitConverter: { label: 'el conversor de unidades', legacy: 'json' },
+        quickTools: { label: 'las herramientas rápidas', legacy: 'json' },
+        files: { label: 'las imágenes subidas' }
+    },
+
+    /**
+     * Migraciones por versión de esquema; se ejecutan en orden y con this = AppStorage.
+     * Si una falla se detiene el proceso y se reintenta en la próxima carga.
+     */
+    migrations: {
+        1: {
+            description: 'Claves sueltas de localStorage → proyecto:<nombre> en JSON',
+            migrate() {
+                Object.entries(this.keys).forEach(([name, { legacy }]) => {
+                    const raw = legacy ? this.area.getItem(name) : null;
+                    if (raw === null) return;
+
+                    const value = this.decodeLegacy(raw, legacy);
+
+                    if (value === undefined) {
+                        this.area.setItem(this.key(`corrupt:${name}`), raw);
+                        this.report(name, 'corrupt');
+                    } else if (this.getRaw(name) === null) {
+                        this.write(name, value);
+                    }
+
+                    this.area.removeItem(name);
+                });
+            }
+        },
+        2: {
+            description: 'Versión por item en la lista (sincronización entre pestañas)',
+            migrate() {
+                const items = this.get('dynamicListItems', []);
+                if (items.length === 0) return;
+
+                this.write('dynamicListItems', items
+                    .filter(item => item && typeof item === 'object')
+                    .map(item => Number.isInteger(item.version) && item.version > 0 ? item : { ...item, version: 1 }));
+            }
+        }
+    },
+
+    /**
+     * Comprueba que localStorage está disponible y aplica las migraciones pendientes
+     */
+    init() {
+        try {
+            this.area = window.localStorage;
+        } catch (error) {
+            // Con las cookies bloqueadas, acceder a localStorage lanza SecurityError
+            this.area = null;
+        }
+
+        if (this.area) this.migrate();
+    },
+
+    key(name) {
+        return `${this.namespace}:${name}`;
+    },
+
+    /**
+     * Nombre de una clave con espacio de nombres (null si es ajena al proyecto)
+     */
+    nameOf(key) {
+        const prefix = `${this.namespace}:`;
+        return typeof key === 'string' && key.startsWith(prefix) ? key.slice(prefix.length) : null;
+    },
+
+    /**
+     * Texto guardado tal cual (null si no existe)
+     */
+    getRaw(name) {
+        try {
+            return this.area ? this.area.getItem(this.key(name)) : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Lee un valor. El tipo del valor por defecto hace de esquema: si lo guardado no se
+     * puede leer o no es del mismo tipo (array, objeto, texto...) se aparta como dañado.
+     */
+    get(name, fallback = null) {
+        const raw = this.getRaw(name);
+        if (raw === null) return fallback;
+
+        let value;
+
+        try {
+            value = JSON.parse(raw);
+        } catch (error) {
+            this.quarantine(name, raw);
+            return fallback;
+        }
+
+        if (!this.matchesType(value, fallback)) {
+            this.quarantine(name, raw);
+            return fallback;
+        }
+
+        return value;
+    },
+
+    matchesType(value, fallback) {
+        if (fallback === null || fallback === undefined) return true;
+        if (Array.isArray(fallback)) return Array.isArray(value);
+        if (typeof fallback === 'object') return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        return typeof value === typeof fallback;
+    },
+
+    /**
+     * Guarda un valor y avisa a las demás pestañas
+     * @returns {boolean} false si no se pudo guardar (el problema ya se ha notificado)
+     */
+    set(name, value) {
+        if (!this.area) {
+            this.report(name, 'unavailable');
+            return false;
+        }
+
+        try {
+            this.write(name, value);
+        } catch (error) {
+            this.report(name, this.isQuotaError(error) ? 'quota' : 'unavailable', error);
+            return false;
+        }
+
+        window.StorageSync?.notify(name);
+        return true;
+    },
+
+    /**
+     * Escritura directa: lanza el error si no hay espacio (la usan las migraciones)
+     */
+    write(name, value) {
+        this.area.setItem(this.key(name), JSON.stringify(value));
+    },
+
+    remove(name) {
+        try {
+            if (this.area) this.area.removeItem(this.key(name));
+        } catch (error) {
+            return;
+        }
+
+        window.StorageSync?.notify(name);
+    },
+
+    /**
+     * Aparta un valor ilegible para no perderlo y deja la clave libre
+     */
+    quarantine(name, raw) {
+        try {
+            this.area.setItem(this.key(`corrupt:${name}`), raw);
+            this.area.removeItem(this.key(name));
+        } catch (error) {
+            // Sin espacio para la copia: al menos no se vuelve a leer el valor dañado
+            this.area.removeItem(this.key(name));
+        }
+
+        this.report(name, 'corrupt');
+    },
+
+    /**
+     * Interpreta los valores guardados antes del esquema 1
+     * @returns {*} undefined si no se pueden leer
+     */
+    decodeLegacy(raw, format) {
+        if (format === 'text') return raw;
+        if (format === 'boolean') return raw === 'true';
+
+        if (format === 'number') {
+            const number = parseFloat(raw);
+            return Number.isFinite(number) ? number : undefined;
+        }
+
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            return undefined;
+        }
+    },
+
+    isQuotaError(error) {
+        return Boolean(error) && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014
+        );
+    },
+
+    getSchemaVersion() {
+        const version = parseInt(this.getRaw('schema'));
+        return isNaN(version) ? 0 : version;
+    },
+
+    /**
+     * Ejecuta las migraciones posteriores a la versión guardada
+     */
+    migrate() {
+        for (let version = this.getSchemaVersion() + 1; version <= this.schemaVersion; version++) {
+            try {
+                this.migrations[version].migrate.call(this);
+                this.area.setItem(this.key('schema'), String(version));
+            } catch (error) {
+                console.error(`Error en la migración ${version} (${this.migrations[version].description}):`, error);
+                this.report('schema', this.isQuotaError(error) ? 'quota' : 'migration', error);
+                return;
+            }
+        }
+    },
+
+    /**
+     * Registra un problema (una vez por clave y motivo) y lo anuncia con el evento storageProblem
+     * @param {string} reason - corrupt | quota | unavailable | migration
+     */
+    report(name, reason, error = null) {
+        if (this.problems.some(problem => problem.name === name && problem.reason === reason)) return;
+
+        const problem = { name: name, reason: reason, label: this.keys[name]?.label || name };
+        this.problems.push(problem);
+
+        console.warn(`Almacenamiento: ${reason} en «${name}»`, error || '');
+        document.dispatchEvent(new CustomEvent(this.eventName, { detail: problem }));
+    },
+
+    /**
+     * Se suscribe a los problemas de almacenamiento, incluidos los ocurridos antes de suscribirse
+     * @returns {Function} Cancela la suscripción
+     */
+    onProblem(callback) {
+        this.problems.forEach(problem => callback(problem));
+
+        const handler = (e) => callback(e.detail);
+        document.addEventListener(this.eventName, handler);
+        return () => document.removeEventListener(this.eventName, handler);
+    },
+
+    /**
+     * Espacio que ocupa el proyecto en localStorage (2 bytes por carácter)
+     * @returns {{ total: number, keys: Array<{ name: string, bytes: number }> }}
+     */
+    getUsage() {
+        const keys = [];
+
+        try {
+            for (let i = 0; i < (this.area ? this.area.length : 0); i++) {
+                const key = this.area.key(i);
+                const name = this.nameOf(key);
+
+                if (name !== null) {
+                    keys.push({ name: name, bytes: (key.length + this.area.getItem(key).length) * 2 });
+                }
+            }
+        } catch (error) {
+            // Sin acceso a localStorage no hay nada que contar
+        }
+
+        keys.sort((a, b) => b.bytes - a.bytes);
+        return { total: keys.reduce((sum, key) => sum + key.bytes, 0), keys: keys };
+    },
+
+    /**
+     * Uso y cuota de todo el origen (localStorage e IndexedDB) si el navegador lo expone
+     * @returns {Promise<{ usage: number, quota: number }|null>}
+     */
+    async estimate() {
+        if (!navigator.storage || !navigator.storage.estimate) return null;
+
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            return { usage: usage, quota: quota };
+        } catch (error) {
+            return null;
+        }
+    }
+};
+
+// ===== ALMACENAMIENTO DE ARCHIVOS (INDEXEDDB) =====
+/**
+ * Registros grandes ({ id, ...datos }, p. ej. un Blob de imagen) en IndexedDB.
+ * Todas las operaciones devuelven promesas; si no hay IndexedDB se rechazan.
+ */
+const FileStore = {
+    dbName: 'proyecto',
+    dbVersion: 1,
+    storeName: 'files',
+    opening: null,
+
+    isAvailable() {
+        return Boolean(window.indexedDB);
+    },
+
+    /**
+     * Abre (una sola vez) la base de datos, creando el almacén si no existe
+     */
+    open() {
+        if (this.opening) return this.opening;
+
+        this.opening = new Promise((resolve, reject) => {
+            if (!this.isAvailable()) {
+                reject(new Error('IndexedDB no está disponible'));
+                return;
+            }
+
+            const request = window.indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Si falla se podrá reintentar más tarde
+        this.opening.catch(() => {
+            this.opening = null;
+        });
+
+        return this.opening;
+    },
+
+    /**
+     * Ejecuta una operación en una transacción y resuelve con su resultado al completarse
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || request.error);
+        });
+    },
+
+    /**
+     * Guarda un registro; los problemas de cuota se notifican como los de localStorage
+     */
+    async put(record) {
+        try {
+            return await this.run('readwrite', store => store.put(record));
+        } catch (error) {
+            if (AppStorage.isQuotaError(error)) AppStorage.report('files', 'quota', error);
+            throw error;
+        }
+    },
+
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    },
+
+    getAll() {
+        return this.run('readonly', store => store.getAll());
+    },
+
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+};
+
+AppStorage.init();
+
+// Exponer al scope global para acceso desde HTML
+window.AppStorage = AppStorage;
+window.FileStore = FileStore;
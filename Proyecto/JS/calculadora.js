@@ -0,0 +1,1248 @@
+/**
+ * Calculadora de la página de Utilidades
+ * - Analizador de expresiones (sustituye a eval): tokens, árbol y evaluación
+ *   con precedencia, paréntesis, operadores unarios, potencias, constantes y funciones
+ * - Calculadora científica: modos DEG/RAD/GRAD, trigonometría inversa e hiperbólica,
+ *   memoria (M+, M-, MR, MC), valor Ans y control por teclado
+ * - Historial de cálculos persistente: recuperar, copiar como texto y borrar
+ * - Modo programador: HEX/DEC/OCT/BIN a la vez y operaciones de bits sobre
+ *   palabras de 8/16/32/64 bits con o sin signo (BigInt)
+ */
+
+// ===== ANALIZADOR DE EXPRESIONES =====
+
+/**
+ * Error de una expresión con la posición (desde 0) del carácter que lo provoca
+ */
+class ExpressionError extends Error {
+    constructor(message, position = null, length = 1) {
+        super(message);
+        this.name = 'ExpressionError';
+        this.position = position;
+        this.length = length;
+    }
+}
+
+const ExpressionParser = {
+    // Operadores aceptados y su forma normalizada (los botones usan × ÷ −)
+    operators: {
+        '+': '+',
+        '-': '-',
+        '−': '-',
+        '*': '*',
+        '×': '*',
+        '/': '/',
+        '÷': '/',
+        '^': '^'
+    },
+
+    // Operadores posfijos: factorial y porcentaje
+    postfix: ['!', '%'],
+
+    constants: {
+        pi: Math.PI,
+        'π': Math.PI,
+        e: Math.E
+    },
+
+    /**
+     * Funciones disponibles. Las trigonométricas reciben el ángulo según el modo
+     * y las inversas lo devuelven en ese mismo modo. En DEG y GRAD los múltiplos
+     * de un cuarto de vuelta dan el valor exacto: al pasar a radianes
+     * sin(180) daría 1.2e-16 en vez de 0.
+     * check devuelve un mensaje si el argumento está fuera del dominio.
+     */
+    functions: {
+        sin: { fn: (x, ctx) => ctx.quarterTurns(x) === null ? Math.sin(ctx.toRadians(x)) : [0, 1, 0, -1][ctx.quarterTurns(x)] },
+        cos: { fn: (x, ctx) => ctx.quarterTurns(x) === null ? Math.cos(ctx.toRadians(x)) : [1, 0, -1, 0][ctx.quarterTurns(x)] },
+        tan: {
+            fn: (x, ctx) => ctx.quarterTurns(x) === null ? Math.tan(ctx.toRadians(x)) : 0,
+            check: (x, ctx) => {
+                const quarters = ctx.quarterTurns(x);
+                const undefinedAt = quarters === null ? Math.abs(Math.cos(ctx.toRadians(x))) < 1e-12 : quarters % 2 === 1;
+                return undefinedAt ? 'tan no está definida en ese ángulo' : null;
+            }
+        },
+        asin: {
+            fn: (x, ctx) => ctx.fromRadians(Math.asin(x)),
+            check: (x) => Math.abs(x) > 1 ? 'asin solo admite valores entre -1 y 1' : null
+        },
+        acos: {
+            fn: (x, ctx) => ctx.fromRadians(Math.acos(x)),
+            check: (x) => Math.abs(x) > 1 ? 'acos solo admite valores entre -1 y 1' : null
+        },
+        atan: { fn: (x, ctx) => ctx.fromRadians(Math.atan(x)) },
+        sinh: { fn: Math.sinh },
+        cosh: { fn: Math.cosh },
+        tanh: { fn: Math.tanh },
+        asinh: { fn: Math.asinh },
+        acosh: { fn: Math.acosh, check: (x) => x < 1 ? 'acosh solo admite valores mayores o iguales que 1' : null },
+        atanh: { fn: Math.atanh, check: (x) => Math.abs(x) >= 1 ? 'atanh solo admite valores entre -1 y 1 (sin incluirlos)' : null },
+        log: { fn: Math.log10, check: (x) => x <= 0 ? 'log solo admite valores mayores que 0' : null },
+        ln: { fn: Math.log, check: (x) => x <= 0 ? 'ln solo admite valores mayores que 0' : null },
+        sqrt: { fn: Math.sqrt, check: (x) => x < 0 ? 'sqrt no admite valores negativos' : null },
+        exp: { fn: Math.exp },
+        // Raíz n-ésima: root(x, n). Las raíces impares de negativos conservan el signo
+        root: {
+            arity: 2,
+            fn: (x, n) => x < 0 ? -Math.pow(-x, 1 / n) : Math.pow(x, 1 / n),
+            check: (x, n) => {
+                if (n === 0) return 'El índice de la raíz no puede ser 0';
+                if (x < 0 && !(Number.isInteger(n) && n % 2 !== 0)) return 'Solo las raíces de índice impar admiten valores negativos';
+                return null;
+            }
+        }
+    },
+
+    // Factor de conversión a radianes de cada modo angular
+    angleUnits: {
+        rad: 1,
+        deg: Math.PI / 180,
+        grad: Math.PI / 200
+    },
+
+    // Cuarto de vuelta en los modos donde es un número exacto
+    quarterTurn: {
+        deg: 90,
+        grad: 100
+    },
+
+    // Mayor entero con factorial representable en coma flotante
+    maxFactorial: 170,
+
+    /**
+     * Calcula el valor de una expresión
+     * @param {string} expression - Texto a evaluar
+     * @param {Object} options - { angleMode: 'deg' | 'rad' | 'grad', variables: { Ans: 0 } }
+     * @returns {number}
+     * @throws {ExpressionError}
+     */
+    evaluate(expression, options = {}) {
+        const ast = this.parse(expression);
+        const unit = this.angleUnits[options.angleMode || 'rad'];
+        const quarter = this.quarterTurn[options.angleMode] || null;
+
+        const context = {
+            toRadians: (x) => x * unit,
+            fromRadians: (x) => x / unit,
+            // Cuartos de vuelta (0-3) si el ángulo es un múltiplo exacto; null si no
+            quarterTurns: (x) => quarter && Number.isInteger(x / quarter) ? ((x / quarter) % 4 + 4) % 4 : null,
+            variables: options.variables || {}
+        };
+
+        const result = this.evaluateNode(ast, context);
+
+        if (!isFinite(result)) {
+            throw new ExpressionError('El resultado es demasiado grande o no es un número');
+        }
+
+        return result;
+    },
+
+    /**
+     * Convierte el texto en una lista de tokens { type, value, pos, length }
+     */
+    tokenize(expression) {
+        const tokens = [];
+        let pos = 0;
+
+        while (pos < expression.length) {
+            const char = expression[pos];
+
+            if (/\s/.test(char)) {
+                pos++;
+                continue;
+            }
+
+            // Números: 12, 3.5, .5 y notación científica con E mayúscula (1.5E-3);
+            // la e minúscula es la constante de Euler
+            const number = expression.slice(pos).match(/^(\d+\.?\d*|\.\d+)(E[+-]?\d+)?/);
+            if (number) {
+                if (expression[pos + number[0].length] === '.') {
+                    throw new ExpressionError(`Número mal formado en la posición ${pos + 1}`, pos, number[0].length + 1);
+                }
+                tokens.push({ type: 'number', value: parseFloat(number[0]), pos: pos, length: number[0].length });
+                pos += number[0].length;
+                continue;
+            }
+
+            const word = expression.slice(pos).match(/^[a-zA-Zπ]+/);
+            if (word) {
+                tokens.push({ type: 'name', value: word[0], pos: pos, length: word[0].length });
+                pos += word[0].length;
+                continue;
+            }
+
+            if (this.operators[char]) {
+                tokens.push({ type: 'operator', value: this.operators[char], pos: pos, length: 1 });
+            } else if (this.postfix.includes(char)) {
+                tokens.push({ type: 'postfix', value: char, pos: pos, length: 1 });
+            } else if (char === '(' || char === ')' || char === ',') {
+                tokens.push({ type: char, value: char, pos: pos, length: 1 });
+            } else {
+                throw new ExpressionError(`Carácter no válido «${char}» en la posición ${pos + 1}`, pos);
+            }
+
+            pos++;
+        }
+
+        return tokens;
+    },
+
+    /**
+     * Construye el árbol de la expresión (descenso recursivo).
+     * Precedencia: + - < * / y multiplicación implícita < unarios < ^ (asociativa a la derecha) < ! %
+     */
+    parse(expression) {
+        const tokens = this.tokenize(String(expression));
+        let index = 0;
+
+        if (tokens.length === 0) {
+            throw new ExpressionError('La expresión está vacía');
+        }
+
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+        const isOperator = (token, ...values) => token && token.type === 'operator' && values.includes(token.value);
+
+        const unexpected = (token) => {
+            if (!token) {
+                return new ExpressionError('La expresión termina de forma incompleta', expression.length);
+            }
+            if (token.type === ')') {
+                return new ExpressionError(`«)» inesperado en la posición ${token.pos + 1}`, token.pos);
+            }
+            return new ExpressionError(`Se esperaba un número o «(» en la posición ${token.pos + 1}`, token.pos, token.length);
+        };
+
+        const parseAdditive = () => {
+            let node = parseMultiplicative();
+
+            while (isOperator(peek(), '+', '-')) {
+                const operator = next();
+                node = { type: 'binary', op: operator.value, left: node, right: parseMultiplicative(), pos: operator.pos };
+            }
+
+            return node;
+        };
+
+        const parseMultiplicative = () => {
+            let node = parseUnary();
+
+            while (true) {
+                const token = peek();
+
+                if (isOperator(token, '*', '/')) {
+                    next();
+                    node = { type: 'binary', op: token.value, left: node, right: parseUnary(), pos: token.pos };
+                } else if (token && (token.type === '(' || token.type === 'name')) {
+                    // Multiplicación implícita: 2π, 3(4+1), (1+2)(3+4), 2sin(30)
+                    node = { type: 'binary', op: '*', left: node, right: parseUnary(), pos: token.pos };
+                } else if (token && token.type === 'number') {
+                    throw new ExpressionError(`Falta un operador antes de la posición ${token.pos + 1}`, token.pos, token.length);
+                } else {
+                    return node;
+                }
+            }
+        };
+
+        const parseUnary = () => {
+            const token = peek();
+
+            if (isOperator(token, '+', '-')) {
+                next();
+                return { type: 'unary', op: token.value, arg: parseUnary(), pos: token.pos };
+            }
+
+            return parsePower();
+        };
+
+        const parsePower = () => {
+            const base = parsePostfix();
+            const token = peek();
+
+            if (isOperator(token, '^')) {
+                next();
+                // El exponente admite signo: 2^-1
+                return { type: 'binary', op: '^', left: base, right: parseUnary(), pos: token.pos };
+            }
+
+            return base;
+        };
+
+        const parsePostfix = () => {
+            let node = parsePrimary();
+
+            while (peek() && peek().type === 'postfix') {
+                const token = next();
+                node = { type: 'postfix', op: token.value, arg: node, pos: token.pos };
+            }
+
+            return node;
+        };
+
+        const parsePrimary = () => {
+            const token = next();
+
+            if (!token) throw unexpected(token);
+
+            if (token.type === 'number') {
+                return { type: 'number', value: token.value, pos: token.pos };
+            }
+
+            if (token.type === '(') {
+                const node = parseAdditive();
+                const closing = next();
+
+                if (!closing || closing.type !== ')') {
+                    if (closing) index--;
+                    throw new ExpressionError(`Falta «)» para cerrar el paréntesis de la posición ${token.pos + 1}`, token.pos);
+                }
+
+                return node;
+            }
+
+            if (token.type === 'name') {
+                return parseName(token);
+            }
+
+            throw unexpected(token);
+        };
+
+        const parseName = (token) => {
+            const name = token.value;
+
+            if (this.functions[name]) {
+                const open = next();
+                if (!open || open.type !== '(') {
+                    throw new ExpressionError(`Se esperaba «(» después de ${name} (posición ${token.pos + token.length + 1})`, token.pos + token.length);
+                }
+
+                const args = [];
+                if (peek() && peek().type !== ')') {
+                    args.push(parseAdditive());
+                    while (peek() && peek().type === ',') {
+                        next();
+                        args.push(parseAdditive());
+                    }
+                }
+
+                const closing = next();
+                if (!closing || closing.type !== ')') {
+                    throw new ExpressionError(`Falta «)» para cerrar ${name}( de la posición ${token.pos + 1}`, token.pos, token.length);
+                }
+
+                return { type: 'call', name: name, args: args, pos: token.pos, length: token.length };
+            }
+
+            if (name in this.constants) {
+                return { type: 'constant', name: name, pos: token.pos };
+            }
+
+            // Variables que aporta quien evalúa (Ans); se resuelven al evaluar
+            if (name === 'Ans') {
+                return { type: 'variable', name: name, pos: token.pos, length: token.length };
+            }
+
+            throw new ExpressionError(`Función o constante desconocida «${name}» en la posición ${token.pos + 1}`, token.pos, token.length);
+        };
+
+        const ast = parseAdditive();
+
+        if (index < tokens.length) {
+            throw unexpected(tokens[index]);
+        }
+
+        return ast;
+    },
+
+    /**
+     * Evalúa un nodo del árbol
+     */
+    evaluateNode(node, context) {
+        switch (node.type) {
+            case 'number':
+                return node.value;
+
+            case 'constant':
+                return this.constants[node.name];
+
+            case 'variable': {
+                const value = context.variables[node.name];
+                if (typeof value !== 'number') {
+                    throw new ExpressionError(`«${node.name}» todavía no tiene valor (posición ${node.pos + 1})`, node.pos, node.length);
+                }
+                return value;
+            }
+
+            case 'postfix': {
+                const value = this.evaluateNode(node.arg, context);
+
+                if (node.op === '%') return value / 100;
+
+                if (!Number.isInteger(value) || value < 0) {
+                    throw new ExpressionError(`El factorial solo admite enteros no negativos (posición ${node.pos + 1})`, node.pos);
+                }
+                if (value > this.maxFactorial) {
+                    throw new ExpressionError(`El factorial de ${value} es demasiado grande (posición ${node.pos + 1})`, node.pos);
+                }
+
+                let result = 1;
+                for (let i = 2; i <= value; i++) result *= i;
+                return result;
+            }
+
+            case 'unary': {
+                const value = this.evaluateNode(node.arg, context);
+                return node.op === '-' ? -value : value;
+            }
+
+            case 'binary': {
+                const left = this.evaluateNode(node.left, context);
+                const right = this.evaluateNode(node.right, context);
+
+                switch (node.op) {
+                    case '+': return left + right;
+                    case '-': return left - right;
+                    case '*': return left * right;
+                    case '/':
+                        if (right === 0) {
+                            throw new ExpressionError(`División entre cero en la posición ${node.pos + 1}`, node.pos);
+                        }
+                        return left / right;
+                    case '^': {
+                        const result = Math.pow(left, right);
+                        if (isNaN(result)) {
+                            throw new ExpressionError(`Potencia sin resultado real en la posición ${node.pos + 1}`, node.pos);
+                        }
+                        return result;
+                    }
+                }
+                break;
+            }
+
+            case 'call': {
+                const definition = this.functions[node.name];
+                const arity = definition.arity || 1;
+
+                if (node.args.length !== arity) {
+                    throw new ExpressionError(
+                        `${node.name} necesita ${arity} ${arity === 1 ? 'argumento' : 'argumentos'} (posición ${node.pos + 1})`,
+                        node.pos, node.length
+                    );
+                }
+
+                const args = node.args.map(arg => this.evaluateNode(arg, context));
+                const domainError = definition.check?.(...args, context);
+
+                if (domainError) {
+                    throw new ExpressionError(`${domainError} (posición ${node.pos + 1})`, node.pos, node.length);
+                }
+
+                return definition.fn(...args, context);
+            }
+        }
+
+        throw new ExpressionError('Expresión no válida');
+    },
+
+    /**
+     * Formatea un resultado evitando los restos de coma flotante (0.1+0.2)
+     */
+    format(value) {
+        if (Object.is(value, -0)) return '0';
+
+        const rounded = parseFloat(value.toPrecision(12));
+        const abs = Math.abs(rounded);
+
+        // Notación científica con E mayúscula para que se pueda volver a evaluar
+        if (abs !== 0 && (abs >= 1e15 || abs < 1e-9)) {
+            return rounded.toExponential().replace('e', 'E').replace('E+', 'E');
+        }
+
+        return String(rounded);
+    }
+};
+
+// ===== CALCULADORA CIENTÍFICA =====
+const ScientificCalculator = {
+    storageKey: 'calcAngleMode',
+    angleMode: 'deg',
+    angleLabels: { deg: 'DEG', rad: 'RAD', grad: 'GRAD' },
+    inverse: false,
+    hyperbolic: false,
+    memory: 0,
+    ans: null,
+    justEvaluated: false,
+
+    // Teclas que se escriben tal cual en la pantalla
+    keyInserts: ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '.', ',', '+', '-', '*', '/', '^', '(', ')', '!', '%'],
+
+    /**
+     * Inicializa la calculadora de la página de Utilidades
+     */
+    init() {
+        this.container = document.getElementById('calc-scientific');
+        this.display = document.getElementById('pantalla');
+        this.errorBox = document.getElementById('calc-error');
+        this.status = document.getElementById('calc-status');
+
+        if (!this.container || !this.display) return;
+
+        const savedMode = AppStorage.get(this.storageKey, this.angleMode);
+        if (this.angleLabels[savedMode]) {
+            this.angleMode = savedMode;
+        }
+
+        this.setupEventListeners();
+        this.updateControls();
+    },
+
+    /**
+     * Configura los botones (por atributos data-*) y el teclado
+     */
+    setupEventListeners() {
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button || !this.container.contains(button)) return;
+
+            const { insert, trig, action, memory, angle, toggle } = button.dataset;
+
+            if (insert !== undefined) {
+                this.insert(insert);
+            } else if (trig) {
+                this.insert(`${this.getTrigName(trig)}(`);
+            } else if (action === 'equals') {
+                this.calculate();
+            } else if (action === 'clear') {
+                this.clear();
+            } else if (action === 'delete') {
+                this.delete();
+            } else if (memory) {
+                this.handleMemory(memory);
+            } else if (angle) {
+                this.setAngleMode(angle);
+            } else if (toggle) {
+                this.toggleModifier(toggle);
+            }
+        });
+
+        // Eventos de teclado
+        document.addEventListener('keydown', (e) => {
+            if (CalculatorModes.current !== 'scientific') return;
+            if (e.ctrlKey || e.metaKey || e.altKey || this.isEditable(e.target)) return;
+
+            // Enter y espacio sobre un botón ya lo pulsan; no repetir la acción
+            const onButton = e.target.closest && e.target.closest('button');
+
+            if (this.keyInserts.includes(e.key)) {
+                this.insert(e.key);
+            } else if ((e.key === 'Enter' && !onButton) || e.key === '=') {
+                this.calculate();
+            } else if (e.key === 'Escape') {
+                this.clear();
+            } else if (e.key === 'Backspace') {
+                this.delete();
+            } else {
+                return;
+            }
+
+            e.preventDefault();
+        });
+    },
+
+    /**
+     * Indica si el foco está en un campo donde el usuario escribe texto
+     */
+    isEditable(target) {
+        if (!target || target === this.display) return false;
+        return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    },
+
+    /**
+     * Añade texto a la expresión. Tras un resultado, un número o función empieza
+     * una expresión nueva y un operador continúa a partir del resultado.
+     */
+    insert(text) {
+        if (this.justEvaluated && /^[\d.(a-zA-Zπ]/.test(text)) {
+            this.display.value = '';
+        }
+
+        this.justEvaluated = false;
+        this.display.value += text;
+        this.clearError();
+    },
+
+    /**
+     * Recupera una expresión del historial para seguir editándola
+     */
+    recall(expression) {
+        this.display.value = expression;
+        this.justEvaluated = false;
+        this.clearError();
+        this.display.focus();
+    },
+
+    /**
+     * Inserta un resultado del historial como número
+     */
+    recallResult(result) {
+        this.insert(result.startsWith('-') ? `(${result})` : result);
+        this.display.focus();
+    },
+
+    clear() {
+        this.display.value = '';
+        this.justEvaluated = false;
+        this.clearError();
+    },
+
+    delete() {
+        this.display.value = this.display.value.slice(0, -1);
+        this.justEvaluated = false;
+        this.clearError();
+    },
+
+    /**
+     * Evalúa la pantalla y deja el resultado como nuevo Ans
+     */
+    calculate() {
+        const result = this.evaluateDisplay();
+        if (result === null) return null;
+
+        this.showResult(result);
+        return result;
+    },
+
+    /**
+     * Evalúa la expresión de la pantalla; devuelve null y muestra el error si falla
+     */
+    evaluateDisplay() {
+        const expression = this.display.value;
+
+        try {
+            return ExpressionParser.evaluate(expression, {
+                angleMode: this.angleMode,
+                variables: { Ans: this.ans }
+            });
+        } catch (error) {
+            if (!(error instanceof ExpressionError)) throw error;
+            this.showError(expression, error);
+            return null;
+        }
+    },
+
+    showResult(value) {
+        const expression = this.display.value.trim();
+        const result = ExpressionParser.format(value);
+
+        if (expression !== result) {
+            CalculationHistory.add(expression, result);
+        }
+
+        this.display.value = result;
+        this.ans = value;
+        this.justEvaluated = true;
+        this.clearError();
+        this.updateControls();
+    },
+
+    /**
+     * Nombre de la función trigonométrica según los modificadores 2nd e hyp
+     */
+    getTrigName(base) {
+        return `${this.inverse ? 'a' : ''}${base}${this.hyperbolic ? 'h' : ''}`;
+    },
+
+    /**
+     * Registros de memoria: M+ y M- evalúan la pantalla antes de acumular
+     */
+    handleMemory(operation) {
+        switch (operation) {
+            case 'add':
+            case 'subtract': {
+                if (!this.display.value.trim()) return;
+
+                const value = this.calculate();
+                if (value === null) return;
+
+                this.memory += operation === 'add' ? value : -value;
+                break;
+            }
+            case 'recall': {
+                const text = ExpressionParser.format(this.memory);
+                this.insert(this.memory < 0 ? `(${text})` : text);
+                break;
+            }
+            case 'clear':
+                this.memory = 0;
+                break;
+        }
+
+        this.updateControls();
+    },
+
+    setAngleMode(mode) {
+        if (!this.angleLabels[mode]) return;
+
+        this.angleMode = mode;
+        AppStorage.set(this.storageKey, mode);
+        this.updateControls();
+    },
+
+    toggleModifier(name) {
+        if (name === 'inverse') this.inverse = !this.inverse;
+        if (name === 'hyperbolic') this.hyperbolic = !this.hyperbolic;
+        this.updateControls();
+    },
+
+    /**
+     * Sincroniza botones de modo, etiquetas trigonométricas y la línea de estado
+     */
+    updateControls() {
+        this.container.querySelectorAll('[data-angle]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.angle === this.angleMode));
+        });
+
+        this.container.querySelectorAll('[data-toggle]').forEach(button => {
+            const active = button.dataset.toggle === 'inverse' ? this.inverse : this.hyperbolic;
+            button.setAttribute('aria-pressed', String(active));
+        });
+
+        this.container.querySelectorAll('[data-trig]').forEach(button => {
+            const name = this.getTrigName(button.dataset.trig);
+            button.textContent = this.inverse ? `${name.slice(1)}⁻¹` : name;
+            button.title = name;
+        });
+
+        if (this.status) {
+            const parts = [this.angleLabels[this.angleMode]];
+            if (this.memory !== 0) parts.push(`M = ${ExpressionParser.format(this.memory)}`);
+            if (this.ans !== null) parts.push(`Ans = ${ExpressionParser.format(this.ans)}`);
+            this.status.textContent = parts.join(' · ');
+        }
+    },
+
+    /**
+     * Muestra el mensaje y resalta el carácter donde falla la expresión
+     */
+    showError(expression, error) {
+        const escape = DOMManager.escapeHTML;
+        let detail = '';
+
+        if (error.position !== null && expression) {
+            const start = Math.min(error.position, expression.length);
+            const end = start + error.length;
+            const mark = expression.slice(start, end) || ' ';
+
+            detail = `<code>${escape(expression.slice(0, start))}<mark>${escape(mark)}</mark>${escape(expression.slice(end))}</code>`;
+        }
+
+        this.errorBox.innerHTML = `<span>${escape(error.message)}</span>${detail}`;
+        this.errorBox.classList.remove('hidden');
+        this.display.setAttribute('aria-invalid', 'true');
+        this.justEvaluated = false;
+    },
+
+    clearError() {
+        if (!this.errorBox) return;
+
+        this.errorBox.textContent = '';
+        this.errorBox.classList.add('hidden');
+        this.display.removeAttribute('aria-invalid');
+    }
+};
+
+// ===== MODO PROGRAMADOR =====
+const ProgrammerCalculator = {
+    storageKey: 'calcProgrammer',
+    bits: 32,
+    signed: true,
+    inputBase: 10,
+    value: 0n,
+    accumulator: null,
+    operation: null,
+    fresh: true,
+
+    bases: {
+        16: { label: 'HEX', id: 'prog-hex' },
+        10: { label: 'DEC', id: 'prog-dec' },
+        8: { label: 'OCT', id: 'prog-oct' },
+        2: { label: 'BIN', id: 'prog-bin' }
+    },
+
+    wordSizes: [8, 16, 32, 64],
+
+    // Operaciones binarias; el resultado se ajusta luego al tamaño de palabra
+    operations: {
+        and: { label: 'AND', fn: (a, b) => a & b },
+        or: { label: 'OR', fn: (a, b) => a | b },
+        xor: { label: 'XOR', fn: (a, b) => a ^ b },
+        shl: { label: '<<', fn: (a, b) => a << b },
+        // Con signo el desplazamiento es aritmético; sin signo, lógico
+        shr: { label: '>>', fn: (a, b) => a >> b },
+        add: { label: '+', fn: (a, b) => a + b },
+        subtract: { label: '−', fn: (a, b) => a - b },
+        multiply: { label: '×', fn: (a, b) => a * b },
+        divide: { label: '÷', fn: (a, b) => a / b },
+        mod: { label: 'MOD', fn: (a, b) => a % b }
+    },
+
+    // Teclas del teclado físico para cada operación
+    keyOperations: {
+        '&': 'and', '|': 'or', '^': 'xor', '<': 'shl', '>': 'shr',
+        '+': 'add', '-': 'subtract', '*': 'multiply', '/': 'divide', '%': 'mod'
+    },
+
+    /**
+     * Inicializa el panel del modo programador
+     */
+    init() {
+        this.container = document.getElementById('calc-programmer');
+        if (!this.container) return;
+
+        this.bitsSelect = document.getElementById('prog-bits');
+        this.signedInput = document.getElementById('prog-signed');
+        this.status = document.getElementById('prog-status');
+        this.errorBox = document.getElementById('prog-error');
+
+        this.loadSettings();
+        this.setupEventListeners();
+        this.render();
+    },
+
+    loadSettings() {
+        const saved = AppStorage.get(this.storageKey, {});
+        if (this.wordSizes.includes(saved.bits)) this.bits = saved.bits;
+        if (typeof saved.signed === 'boolean') this.signed = saved.signed;
+        if (this.bases[saved.inputBase]) this.inputBase = saved.inputBase;
+    },
+
+    saveSettings() {
+        AppStorage.set(this.storageKey, {
+            bits: this.bits,
+            signed: this.signed,
+            inputBase: this.inputBase
+        });
+    },
+
+    setupEventListeners() {
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button || button.disabled) return;
+
+            const { digit, op, unary, progAction, base } = button.dataset;
+
+            if (digit !== undefined) {
+                this.appendDigit(parseInt(digit, 16));
+            } else if (op) {
+                this.chooseOperation(op);
+            } else if (unary) {
+                this.applyUnary(unary);
+            } else if (base) {
+                this.setInputBase(Number(base));
+            } else if (progAction === 'equals') {
+                this.compute();
+            } else if (progAction === 'clear') {
+                this.clear();
+            } else if (progAction === 'delete') {
+                this.delete();
+            }
+        });
+
+        this.bitsSelect?.addEventListener('change', () => this.setWordSize(Number(this.bitsSelect.value), this.signed));
+        this.signedInput?.addEventListener('change', () => this.setWordSize(this.bits, this.signedInput.checked));
+
+        // Eventos de teclado (solo con el modo programador visible)
+        document.addEventListener('keydown', (e) => {
+            if (CalculatorModes.current !== 'programmer') return;
+            if (e.ctrlKey || e.metaKey || e.altKey || ScientificCalculator.isEditable(e.target)) return;
+
+            const onButton = e.target.closest && e.target.closest('button');
+            const digit = /^[0-9a-f]$/i.test(e.key) ? parseInt(e.key, 16) : NaN;
+
+            if (!isNaN(digit)) {
+                this.appendDigit(digit);
+            } else if (this.keyOperations[e.key]) {
+                this.chooseOperation(this.keyOperations[e.key]);
+            } else if (e.key === '~') {
+                this.applyUnary('not');
+            } else if ((e.key === 'Enter' && !onButton) || e.key === '=') {
+                this.compute();
+            } else if (e.key === 'Escape') {
+                this.clear();
+            } else if (e.key === 'Backspace') {
+                this.delete();
+            } else {
+                return;
+            }
+
+            e.preventDefault();
+        });
+    },
+
+    /**
+     * Ajusta un valor al tamaño de palabra (desbordamiento en complemento a dos)
+     */
+    wrap(value, bits = this.bits, signed = this.signed) {
+        return signed ? BigInt.asIntN(bits, value) : BigInt.asUintN(bits, value);
+    },
+
+    /**
+     * Representa el valor en una base. Fuera de DEC se muestra el patrón de bits.
+     */
+    toBase(value, base, bits = this.bits) {
+        if (base === 10) return value.toString();
+
+        const digits = BigInt.asUintN(bits, value).toString(base).toUpperCase();
+
+        if (base === 2) {
+            return digits.padStart(bits, '0').replace(/\B(?=(\d{4})+$)/g, ' ');
+        }
+
+        if (base === 16) {
+            return digits.replace(/\B(?=([0-9A-F]{4})+$)/g, ' ');
+        }
+
+        return digits;
+    },
+
+    /**
+     * Añade un dígito en la base de entrada; se ignora si no cabe en la palabra
+     */
+    appendDigit(digit) {
+        if (digit >= this.inputBase) return;
+
+        if (this.fresh) {
+            this.value = 0n;
+            this.fresh = false;
+        }
+
+        const base = BigInt(this.inputBase);
+        let next;
+
+        if (this.inputBase === 10) {
+            next = this.value * base + (this.value < 0n ? -BigInt(digit) : BigInt(digit));
+            if (this.wrap(next) !== next) return;
+        } else {
+            next = BigInt.asUintN(this.bits, this.value) * base + BigInt(digit);
+            if (next >> BigInt(this.bits) !== 0n) return;
+            next = this.wrap(next);
+        }
+
+        this.value = next;
+        this.clearError();
+        this.render();
+    },
+
+    delete() {
+        if (this.fresh) return;
+
+        this.value = this.inputBase === 10
+            ? this.value / 10n
+            : this.wrap(BigInt.asUintN(this.bits, this.value) / BigInt(this.inputBase));
+
+        this.render();
+    },
+
+    chooseOperation(name) {
+        if (this.accumulator !== null && !this.fresh) {
+            if (!this.compute()) return;
+        }
+
+        this.accumulator = this.value;
+        this.operation = name;
+        this.fresh = true;
+        this.render();
+    },
+
+    /**
+     * Resuelve la operación pendiente; devuelve false si no se puede
+     */
+    compute() {
+        if (this.accumulator === null || !this.operation) return true;
+
+        const right = this.value;
+
+        if ((this.operation === 'divide' || this.operation === 'mod') && right === 0n) {
+            this.showError('No se puede dividir entre cero');
+            return false;
+        }
+
+        const isShift = this.operation === 'shl' || this.operation === 'shr';
+
+        if (isShift && right < 0n) {
+            this.showError('El desplazamiento no puede ser negativo');
+            return false;
+        }
+
+        // Desplazar más que el tamaño de palabra equivale a desplazarlo entero
+        const operand = isShift && right > BigInt(this.bits) ? BigInt(this.bits) : right;
+
+        this.value = this.wrap(this.operations[this.operation].fn(this.accumulator, operand));
+        this.accumulator = null;
+        this.operation = null;
+        this.fresh = true;
+        this.clearError();
+        this.render();
+        return true;
+    },
+
+    applyUnary(name) {
+        if (name === 'not') this.value = this.wrap(~this.value);
+        if (name === 'negate') this.value = this.wrap(-this.value);
+
+        this.fresh = true;
+        this.render();
+    },
+
+    clear() {
+        this.value = 0n;
+        this.accumulator = null;
+        this.operation = null;
+        this.fresh = true;
+        this.clearError();
+        this.render();
+    },
+
+    setInputBase(base) {
+        if (!this.bases[base]) return;
+
+        this.inputBase = base;
+        this.fresh = true;
+        this.saveSettings();
+        this.render();
+    },
+
+    /**
+     * Cambia el tamaño de palabra o el signo reinterpretando los valores actuales
+     */
+    setWordSize(bits, signed) {
+        if (!this.wordSizes.includes(bits)) return;
+
+        this.bits = bits;
+        this.signed = signed;
+        this.value = this.wrap(this.value);
+        if (this.accumulator !== null) {
+            this.accumulator = this.wrap(this.accumulator);
+        }
+
+        this.saveSettings();
+        this.render();
+    },
+
+    render() {
+        Object.entries(this.bases).forEach(([base, info]) => {
+            const output = document.getElementById(info.id);
+            if (output) output.textContent = this.toBase(this.value, Number(base));
+        });
+
+        this.container.querySelectorAll('[data-base]').forEach(button => {
+            button.setAttribute('aria-pressed', String(Number(button.dataset.base) === this.inputBase));
+        });
+
+        this.container.querySelectorAll('[data-digit]').forEach(button => {
+            button.disabled = parseInt(button.dataset.digit, 16) >= this.inputBase;
+        });
+
+        if (this.bitsSelect) this.bitsSelect.value = String(this.bits);
+        if (this.signedInput) this.signedInput.checked = this.signed;
+
+        if (this.status) {
+            const word = `${this.bits} bits ${this.signed ? 'con signo' : 'sin signo'}`;
+            const pending = this.operation
+                ? ` · ${this.toBase(this.accumulator, this.inputBase)} ${this.operations[this.operation].label}`
+                : '';
+            this.status.textContent = `${this.bases[this.inputBase].label} · ${word}${pending}`;
+        }
+    },
+
+    showError(message) {
+        if (!this.errorBox) return;
+        this.errorBox.textContent = message;
+        this.errorBox.classList.remove('hidden');
+    },
+
+    clearError() {
+        if (!this.errorBox) return;
+        this.errorBox.textContent = '';
+        this.errorBox.classList.add('hidden');
+    }
+};
+
+// ===== MODOS DE LA CALCULADORA =====
+const CalculatorModes = {
+    storageKey: 'calcMode',
+    current: 'scientific',
+
+    modes: {
+        scientific: { label: 'Científica', containerId: 'calc-scientific' },
+        programmer: { label: 'Programador', containerId: 'calc-programmer' }
+    },
+
+    /**
+     * Crea el selector de modos y muestra el último usado
+     */
+    init() {
+        this.switcher = document.getElementById('calc-mode-switch');
+        if (!this.switcher) return;
+
+        this.switcher.innerHTML = Object.entries(this.modes)
+            .map(([key, mode]) => `<button type="button" class="calc-mode" role="tab" data-calc-mode="${key}" aria-selected="false">${mode.label}</button>`)
+            .join('');
+
+        this.switcher.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-calc-mode]');
+            if (button) {
+                this.show(button.dataset.calcMode);
+            }
+        });
+
+        this.show(AppStorage.get(this.storageKey, 'scientific'));
+    },
+
+    /**
+     * Muestra un modo y oculta los demás
+     */
+    show(name) {
+        this.current = this.modes[name] ? name : 'scientific';
+        AppStorage.set(this.storageKey, this.current);
+
+        Object.entries(this.modes).forEach(([key, mode]) => {
+            document.getElementById(mode.containerId)?.classList.toggle('hidden', key !== this.current);
+        });
+
+        this.switcher.querySelectorAll('[data-calc-mode]').forEach(button => {
+            const active = button.dataset.calcMode === this.current;
+            button.setAttribute('aria-selected', active);
+        });
+    }
+};
+
+// ===== HISTORIAL DE CÁLCULOS =====
+const CalculationHistory = {
+    storageKey: 'calcHistory',
+    maxEntries: 50,
+    entries: [],
+
+    /**
+     * Inicializa la cinta del historial
+     */
+    init() {
+        this.list = document.getElementById('calc-history-list');
+        if (!this.list) return;
+
+        this.entries = this.load();
+        this.setupEventListeners();
+        this.render();
+    },
+
+    setupEventListeners() {
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-recall]');
+            if (!button) return;
+
+            const entry = this.entries[Number(button.dataset.index)];
+            if (!entry) return;
+
+            if (button.dataset.recall === 'result') {
+                ScientificCalculator.recallResult(entry.result);
+            } else {
+                ScientificCalculator.recall(entry.expression);
+            }
+        });
+
+        document.getElementById('calc-history-copy')?.addEventListener('click', () => this.copy());
+        document.getElementById('calc-history-clear')?.addEventListener('click', () => this.clear());
+    },
+
+    /**
+     * Lee el historial guardado descartando entradas dañadas
+     */
+    load() {
+        return AppStorage.get(this.storageKey, [])
+            .filter(entry => entry && typeof entry.expression === 'string' && typeof entry.result === 'string');
+    },
+
+    save() {
+        AppStorage.set(this.storageKey, this.entries);
+    },
+
+    /**
+     * Añade un cálculo al principio de la cinta
+     */
+    add(expression, result) {
+        if (!this.list) return;
+
+        this.entries.unshift({ expression, result, date: new Date().toISOString() });
+        this.entries = this.entries.slice(0, this.maxEntries);
+        this.save();
+        this.render();
+    },
+
+    /**
+     * Vacía el historial con opción de deshacer
+     */
+    clear() {
+        if (this.entries.length === 0) return;
+
+        const previous = this.entries;
+        this.entries = [];
+        this.save();
+        this.render();
+
+        App.showNotification('Historial borrado', 'info', {
+            label: 'Deshacer',
+            handler: () => {
+                this.entries = previous;
+                this.save();
+                this.render();
+            }
+        });
+    },
+
+    /**
+     * Texto plano de la cinta: una línea "expresión = resultado" por cálculo
+     */
+    toText() {
+        return this.entries.map(entry => `${entry.expression} = ${entry.result}`).join('\n');
+    },
+
+    async copy() {
+        if (this.entries.length === 0) return;
+
+        try {
+            await navigator.clipboard.writeText(this.toText());
+            App.showNotification('Historial copiado al portapapeles', 'success');
+        } catch (error) {
+            App.showNotification('No se pudo copiar el historial', 'error');
+        }
+    },
+
+    render() {
+        const escape = DOMManager.escapeHTML;
+        const empty = this.entries.length === 0;
+
+        document.getElementById('calc-history-empty')?.classList.toggle('hidden', !empty);
+        document.querySelectorAll('#calc-history-copy, #calc-history-clear').forEach(button => {
+            button.disabled = empty;
+        });
+
+        this.list.innerHTML = this.entries.map((entry, index) => `
+            <li class="calc-history-item">
+                <button type="button" class="calc-history-expression" data-recall="expression" data-index="${index}"
+                    title="Recuperar la expresión">${escape(entry.expression)}</button>
+                <button type="button" class="calc-history-result" data-recall="result" data-index="${index}"
+                    title="Insertar el resultado">= ${escape(entry.result)}</button>
+            </li>
+        `).join('');
+    }
+};
+
+// Exponer al scope global para acceso desde HTML
+window.ExpressionError = ExpressionError;
+window.ExpressionParser = ExpressionParser;
+window.ScientificCalculator = ScientificCalculator;
+window.CalculationHistory = CalculationHistory;
+window.ProgrammerCalculator = ProgrammerCalculator;
+window.CalculatorModes = CalculatorModes;
@@ -0,0 +1,560 @@
+/**
+ * Conversor de unidades de la página de Utilidades
+ * - Longitud, masa, temperatura, volumen, área, velocidad, tiempo, datos y divisas
+ * - Conversión en ambos sentidos mientras se escribe, intercambio y precisión
+ * - Tabla de equivalencias ampliable con unidades propias y tasas de cambio editables
+ */
+
+// ===== CATEGORÍAS Y UNIDADES =====
+
+/**
+ * Cada unidad lineal indica cuántas unidades base vale (factor).
+ * La temperatura no es lineal y usa toBase/fromBase (base: °C).
+ */
+const UNIT_CATEGORIES = {
+    length: {
+        label: 'Longitud',
+        base: 'm',
+        units: {
+            mm: { label: 'Milímetros (mm)', factor: 0.001 },
+            cm: { label: 'Centímetros (cm)', factor: 0.01 },
+            m: { label: 'Metros (m)', factor: 1 },
+            km: { label: 'Kilómetros (km)', factor: 1000 },
+            in: { label: 'Pulgadas (in)', factor: 0.0254 },
+            ft: { label: 'Pies (ft)', factor: 0.3048 },
+            yd: { label: 'Yardas (yd)', factor: 0.9144 },
+            mi: { label: 'Millas (mi)', factor: 1609.344 },
+            nmi: { label: 'Millas náuticas (nmi)', factor: 1852 }
+        }
+    },
+    mass: {
+        label: 'Masa',
+        base: 'kg',
+        units: {
+            mg: { label: 'Miligramos (mg)', factor: 0.000001 },
+            g: { label: 'Gramos (g)', factor: 0.001 },
+            kg: { label: 'Kilogramos (kg)', factor: 1 },
+            t: { label: 'Toneladas (t)', factor: 1000 },
+            oz: { label: 'Onzas (oz)', factor: 0.028349523125 },
+            lb: { label: 'Libras (lb)', factor: 0.45359237 },
+            st: { label: 'Stones (st)', factor: 6.35029318 }
+        }
+    },
+    temperature: {
+        label: 'Temperatura',
+        base: 'c',
+        extensible: false,
+        units: {
+            c: { label: 'Celsius (°C)', toBase: (v) => v, fromBase: (v) => v },
+            f: { label: 'Fahrenheit (°F)', toBase: (v) => (v - 32) * 5 / 9, fromBase: (v) => v * 9 / 5 + 32 },
+            k: { label: 'Kelvin (K)', toBase: (v) => v - 273.15, fromBase: (v) => v + 273.15 }
+        }
+    },
+    volume: {
+        label: 'Volumen',
+        base: 'l',
+        units: {
+            ml: { label: 'Mililitros (ml)', factor: 0.001 },
+            cl: { label: 'Centilitros (cl)', factor: 0.01 },
+            l: { label: 'Litros (l)', factor: 1 },
+            m3: { label: 'Metros cúbicos (m³)', factor: 1000 },
+            tsp: { label: 'Cucharaditas EE. UU. (tsp)', factor: 0.00492892159375 },
+            tbsp: { label: 'Cucharadas EE. UU. (tbsp)', factor: 0.01478676478125 },
+            floz: { label: 'Onzas líquidas EE. UU. (fl oz)', factor: 0.0295735295625 },
+            cup: { label: 'Tazas EE. UU. (cup)', factor: 0.2365882365 },
+            gal: { label: 'Galones EE. UU. (gal)', factor: 3.785411784 },
+            galuk: { label: 'Galones imperiales (gal)', factor: 4.54609 }
+        }
+    },
+    area: {
+        label: 'Área',
+        base: 'm2',
+        units: {
+            mm2: { label: 'Milímetros cuadrados (mm²)', factor: 0.000001 },
+            cm2: { label: 'Centímetros cuadrados (cm²)', factor: 0.0001 },
+            m2: { label: 'Metros cuadrados (m²)', factor: 1 },
+            ha: { label: 'Hectáreas (ha)', factor: 10000 },
+            km2: { label: 'Kilómetros cuadrados (km²)', factor: 1000000 },
+            in2: { label: 'Pulgadas cuadradas (in²)', factor: 0.00064516 },
+            ft2: { label: 'Pies cuadrados (ft²)', factor: 0.09290304 },
+            ac: { label: 'Acres (ac)', factor: 4046.8564224 },
+            mi2: { label: 'Millas cuadradas (mi²)', factor: 2589988.110336 }
+        }
+    },
+    speed: {
+        label: 'Velocidad',
+        base: 'ms',
+        units: {
+            ms: { label: 'Metros por segundo (m/s)', factor: 1 },
+            kmh: { label: 'Kilómetros por hora (km/h)', factor: 1 / 3.6 },
+            mph: { label: 'Millas por hora (mph)', factor: 0.44704 },
+            kn: { label: 'Nudos (kn)', factor: 1852 / 3600 },
+            fts: { label: 'Pies por segundo (ft/s)', factor: 0.3048 }
+        }
+    },
+    time: {
+        label: 'Tiempo',
+        base: 's',
+        units: {
+            ms: { label: 'Milisegundos (ms)', factor: 0.001 },
+            s: { label: 'Segundos (s)', factor: 1 },
+            min: { label: 'Minutos (min)', factor: 60 },
+            h: { label: 'Horas (h)', factor: 3600 },
+            d: { label: 'Días (d)', factor: 86400 },
+            wk: { label: 'Semanas', factor: 604800 },
+            yr: { label: 'Años (365 días)', factor: 31536000 }
+        }
+    },
+    data: {
+        label: 'Datos',
+        base: 'B',
+        units: {
+            bit: { label: 'Bits (bit)', factor: 0.125 },
+            B: { label: 'Bytes (B)', factor: 1 },
+            KB: { label: 'Kilobytes (KB)', factor: 1e3 },
+            MB: { label: 'Megabytes (MB)', factor: 1e6 },
+            GB: { label: 'Gigabytes (GB)', factor: 1e9 },
+            TB: { label: 'Terabytes (TB)', factor: 1e12 },
+            KiB: { label: 'Kibibytes (KiB)', factor: 1024 },
+            MiB: { label: 'Mebibytes (MiB)', factor: 1024 ** 2 },
+            GiB: { label: 'Gibibytes (GiB)', factor: 1024 ** 3 },
+            TiB: { label: 'Tebibytes (TiB)', factor: 1024 ** 4 }
+        }
+    },
+    currency: {
+        label: 'Divisas',
+        base: 'EUR',
+        // Las tasas se expresan como unidades por 1 EUR y el usuario las edita
+        rates: true,
+        units: {
+            EUR: { label: 'Euro (EUR)', rate: 1 },
+            USD: { label: 'Dólar estadounidense (USD)', rate: 1.08 },
+            GBP: { label: 'Libra esterlina (GBP)', rate: 0.85 },
+            JPY: { label: 'Yen japonés (JPY)', rate: 160 },
+            CHF: { label: 'Franco suizo (CHF)', rate: 0.95 },
+            MXN: { label: 'Peso mexicano (MXN)', rate: 19.5 },
+            COP: { label: 'Peso colombiano (COP)', rate: 4300 },
+            ARS: { label: 'Peso argentino (ARS)', rate: 1000 },
+            CLP: { label: 'Peso chileno (CLP)', rate: 1000 }
+        }
+    }
+};
+
+// ===== CONVERSOR =====
+const UnitConverter = {
+    storageKey: 'unitConverter',
+    categories: UNIT_CATEGORIES,
+    category: 'length',
+    fromUnit: 'm',
+    toUnit: 'km',
+    precision: 4,
+    // Campo que escribió el usuario por última vez: el otro se recalcula
+    lastEdited: 'from',
+    customUnits: {},
+    rates: {},
+
+    /**
+     * Inicializa el conversor
+     */
+    init() {
+        this.fromInput = document.getElementById('converter-from');
+        if (!this.fromInput) return;
+
+        this.toInput = document.getElementById('converter-to');
+        this.categorySelect = document.getElementById('converter-category');
+        this.fromSelect = document.getElementById('converter-from-unit');
+        this.toSelect = document.getElementById('converter-to-unit');
+        this.precisionSelect = document.getElementById('converter-precision');
+        this.result = document.getElementById('converter-result');
+        this.table = document.getElementById('converter-table');
+        this.addForm = document.getElementById('converter-add-form');
+
+        this.loadState();
+        this.renderCategories();
+        this.setupEventListeners();
+        this.selectCategory(this.category, { keepUnits: true });
+    },
+
+    /**
+     * Recupera la última conversión, las unidades propias y las tasas guardadas
+     */
+    loadState() {
+        const saved = AppStorage.get(this.storageKey, {});
+
+        this.customUnits = saved.customUnits && typeof saved.customUnits === 'object' ? saved.customUnits : {};
+        this.rates = saved.rates && typeof saved.rates === 'object' ? saved.rates : {};
+
+        if (this.categories[saved.category]) {
+            this.category = saved.category;
+            this.fromUnit = saved.fromUnit;
+            this.toUnit = saved.toUnit;
+        }
+
+        if (Number.isInteger(saved.precision)) this.precision = saved.precision;
+
+        // El valor guardado es el del campo que se escribió: el otro se recalcula al iniciar
+        if (typeof saved.value === 'string') {
+            this.lastEdited = saved.lastEdited === 'to' ? 'to' : 'from';
+            (this.lastEdited === 'from' ? this.fromInput : this.toInput).value = saved.value;
+        }
+    },
+
+    saveState() {
+        AppStorage.set(this.storageKey, {
+            category: this.category,
+            fromUnit: this.fromUnit,
+            toUnit: this.toUnit,
+            precision: this.precision,
+            value: this.lastEdited === 'from' ? this.fromInput.value : this.toInput.value,
+            lastEdited: this.lastEdited,
+            customUnits: this.customUnits,
+            rates: this.rates
+        });
+    },
+
+    setupEventListeners() {
+        this.fromInput.addEventListener('input', () => {
+            this.lastEdited = 'from';
+            this.update();
+        });
+
+        this.toInput.addEventListener('input', () => {
+            this.lastEdited = 'to';
+            this.update();
+        });
+
+        this.categorySelect.addEventListener('change', () => this.selectCategory(this.categorySelect.value));
+
+        this.fromSelect.addEventListener('change', () => {
+            this.fromUnit = this.fromSelect.value;
+            this.update();
+        });
+
+        this.toSelect.addEventListener('change', () => {
+            this.toUnit = this.toSelect.value;
+            this.update();
+        });
+
+        this.precisionSelect?.addEventListener('change', () => {
+            this.precision = parseInt(this.precisionSelect.value, 10);
+            this.update();
+        });
+
+        document.getElementById('converter-swap')?.addEventListener('click', () => this.swap());
+
+        // Tabla: editar tasas o factores propios y eliminar unidades propias
+        this.table?.addEventListener('change', (e) => {
+            const input = e.target.closest('[data-factor-unit]');
+            if (input) this.setUnitValue(input.dataset.factorUnit, input.value, input);
+        });
+
+        this.table?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-unit]');
+            if (button) this.removeUnit(button.dataset.removeUnit);
+        });
+
+        this.addForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addUnitFromForm();
+        });
+    },
+
+    renderCategories() {
+        this.categorySelect.innerHTML = Object.entries(this.categories)
+            .map(([key, category]) => `<option value="${key}">${category.label}</option>`)
+            .join('');
+    },
+
+    /**
+     * Unidades de la categoría, incluidas las propias y las tasas editadas
+     */
+    getUnits(categoryKey = this.category) {
+        const category = this.categories[categoryKey];
+        const units = {};
+
+        Object.entries(category.units).forEach(([key, unit]) => {
+            units[key] = { ...unit };
+        });
+
+        (this.customUnits[categoryKey] || []).forEach(unit => {
+            units[unit.id] = { label: unit.label, custom: true, ...(category.rates ? { rate: unit.rate } : { factor: unit.factor }) };
+        });
+
+        if (category.rates) {
+            Object.entries(units).forEach(([key, unit]) => {
+                if (key !== category.base && this.rates[key] > 0) unit.rate = this.rates[key];
+                unit.factor = 1 / unit.rate;
+            });
+        }
+
+        return units;
+    },
+
+    /**
+     * Cambia de categoría conservando las unidades si siguen existiendo
+     */
+    selectCategory(categoryKey, { keepUnits = false } = {}) {
+        this.category = this.categories[categoryKey] ? categoryKey : 'length';
+        this.categorySelect.value = this.category;
+
+        const keys = Object.keys(this.getUnits());
+
+        if (!keepUnits || !keys.includes(this.fromUnit)) this.fromUnit = keys[0];
+        if (!keepUnits || !keys.includes(this.toUnit) || this.toUnit === this.fromUnit) {
+            this.toUnit = keys.find(key => key !== this.fromUnit) || keys[0];
+        }
+
+        this.renderUnitOptions();
+        this.update();
+    },
+
+    renderUnitOptions() {
+        const escape = DOMManager.escapeHTML;
+        const options = Object.entries(this.getUnits())
+            .map(([key, unit]) => `<option value="${escape(key)}">${escape(unit.label)}</option>`)
+            .join('');
+
+        this.fromSelect.innerHTML = options;
+        this.toSelect.innerHTML = options;
+        this.fromSelect.value = this.fromUnit;
+        this.toSelect.value = this.toUnit;
+
+        if (this.precisionSelect) this.precisionSelect.value = String(this.precision);
+        this.addForm?.classList.toggle('hidden', this.categories[this.category].extensible === false);
+
+        const factorLabel = document.getElementById('converter-new-factor-label');
+        if (factorLabel) {
+            const category = this.categories[this.category];
+            factorLabel.textContent = category.rates
+                ? `Unidades por 1 ${category.base}`
+                : `Equivale a (${this.getSymbol(category.units[category.base], category.base)})`;
+        }
+    },
+
+    /**
+     * Convierte un valor entre dos unidades de la categoría actual
+     */
+    convert(value, from, to, units = this.getUnits()) {
+        const source = units[from];
+        const target = units[to];
+
+        const base = source.toBase ? source.toBase(value) : value * source.factor;
+        return target.fromBase ? target.fromBase(base) : base / target.factor;
+    },
+
+    /**
+     * Redondea a los decimales elegidos; si se perdería todo el valor
+     * usa cifras significativas
+     */
+    round(value) {
+        const rounded = Number(value.toFixed(this.precision));
+
+        if (rounded === 0 && value !== 0) {
+            return Number(value.toPrecision(Math.max(this.precision, 1)));
+        }
+
+        return rounded;
+    },
+
+    formatNumber(value) {
+        if (Math.abs(value) >= 1e21) return value.toExponential(this.precision);
+
+        return this.round(value).toLocaleString('es', {
+            maximumFractionDigits: 20,
+            maximumSignificantDigits: 21
+        });
+    },
+
+    /**
+     * Recalcula el campo que no se está editando, el resumen y la tabla
+     */
+    update() {
+        const units = this.getUnits();
+        const source = this.lastEdited === 'from' ? this.fromInput : this.toInput;
+        const target = this.lastEdited === 'from' ? this.toInput : this.fromInput;
+        const [sourceUnit, targetUnit] = this.lastEdited === 'from'
+            ? [this.fromUnit, this.toUnit]
+            : [this.toUnit, this.fromUnit];
+
+        const value = parseFloat(source.value);
+
+        if (source.value.trim() === '' || isNaN(value)) {
+            target.value = '';
+            this.result.textContent = 'Introduce un valor para convertir';
+            this.renderTable(null, units);
+            this.saveState();
+            return;
+        }
+
+        target.value = String(this.round(this.convert(value, sourceUnit, targetUnit, units)));
+
+        const fromValue = parseFloat(this.fromInput.value);
+        const toValue = this.convert(fromValue, this.fromUnit, this.toUnit, units);
+        this.result.textContent = `${this.formatNumber(fromValue)} ${this.getSymbol(units[this.fromUnit], this.fromUnit)} = ` +
+            `${this.formatNumber(toValue)} ${this.getSymbol(units[this.toUnit], this.toUnit)}`;
+
+        this.renderTable(fromValue, units);
+        this.saveState();
+    },
+
+    /**
+     * Símbolo entre paréntesis de la etiqueta, o la clave de la unidad
+     */
+    getSymbol(unit, key) {
+        const match = unit.label.match(/\(([^)]+)\)\s*$/);
+        return match ? match[1] : key;
+    },
+
+    swap() {
+        [this.fromUnit, this.toUnit] = [this.toUnit, this.fromUnit];
+        [this.fromInput.value, this.toInput.value] = [this.toInput.value, this.fromInput.value];
+
+        this.fromSelect.value = this.fromUnit;
+        this.toSelect.value = this.toUnit;
+        this.lastEdited = 'from';
+        this.update();
+    },
+
+    /**
+     * Tabla con el valor de origen expresado en todas las unidades. En divisas
+     * y unidades propias la columna de factor/tasa es editable.
+     */
+    renderTable(value, units) {
+        if (!this.table) return;
+
+        const escape = DOMManager.escapeHTML;
+        const category = this.categories[this.category];
+        const baseSymbol = this.getSymbol(units[category.base], category.base);
+        const factorHeader = category.rates ? `Tasa (por 1 ${escape(baseSymbol)})` : `Equivale a (${escape(baseSymbol)})`;
+        const showFactor = category.extensible !== false;
+
+        const rows = Object.entries(units).map(([key, unit]) => {
+            const converted = value === null ? '—' : this.formatNumber(this.convert(value, this.fromUnit, key, units));
+            const editable = category.rates ? key !== category.base : unit.custom;
+            const factor = category.rates ? unit.rate : unit.factor;
+
+            const factorCell = !showFactor ? '' : editable
+                ? `<td><input type="number" class="converter-input converter-factor" min="0" step="any"
+                        value="${factor}" data-factor-unit="${escape(key)}" aria-label="${category.rates ? 'Tasa' : 'Factor'} de ${escape(unit.label)}"></td>`
+                : `<td>${this.formatNumber(factor)}</td>`;
+
+            const removeCell = unit.custom
+                ? `<button type="button" class="converter-remove" data-remove-unit="${escape(key)}" aria-label="Eliminar ${escape(unit.label)}">✕</button>`
+                : '';
+
+            return `
+                <tr class="${key === this.fromUnit ? 'is-source' : ''}">
+                    <th scope="row">${escape(unit.label)}</th>
+                    <td>${converted}</td>
+                    ${factorCell}
+                    <td>${removeCell}</td>
+                </tr>
+            `;
+        }).join('');
+
+        this.table.innerHTML = `
+            <thead>
+                <tr>
+                    <th scope="col">Unidad</th>
+                    <th scope="col">Valor</th>
+                    ${showFactor ? `<th scope="col">${factorHeader}</th>` : ''}
+                    <th scope="col"><span class="sr-only">Acciones</span></th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        `;
+    },
+
+    /**
+     * Guarda la tasa de una divisa o el factor de una unidad propia
+     */
+    setUnitValue(key, rawValue, input) {
+        const value = parseFloat(rawValue);
+
+        if (!(value > 0) || !isFinite(value)) {
+            App.showNotification('El valor debe ser un número mayor que 0', 'error');
+            input.value = input.defaultValue;
+            return;
+        }
+
+        const category = this.categories[this.category];
+        const custom = (this.customUnits[this.category] || []).find(unit => unit.id === key);
+
+        if (custom) {
+            custom[category.rates ? 'rate' : 'factor'] = value;
+        } else if (category.rates) {
+            this.rates[key] = value;
+        }
+
+        this.update();
+    },
+
+    /**
+     * Añade una unidad propia a la categoría actual desde el formulario
+     */
+    addUnitFromForm() {
+        const nameInput = document.getElementById('converter-new-name');
+        const symbolInput = document.getElementById('converter-new-symbol');
+        const factorInput = document.getElementById('converter-new-factor');
+
+        try {
+            this.addUnit(this.category, {
+                name: nameInput.value,
+                symbol: symbolInput.value,
+                value: parseFloat(factorInput.value)
+            });
+        } catch (error) {
+            App.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.addForm.reset();
+        App.showNotification('Unidad añadida', 'success');
+    },
+
+    /**
+     * Registra una unidad propia. `value` es el factor respecto a la unidad base
+     * o, en divisas, cuántas unidades vale 1 de la base.
+     */
+    addUnit(categoryKey, { name, symbol, value }) {
+        const category = this.categories[categoryKey];
+        const id = String(symbol || '').trim();
+        const label = String(name || '').trim();
+
+        if (!category || category.extensible === false) {
+            throw new Error('Esta categoría no admite unidades propias');
+        }
+        if (!label || !id) {
+            throw new Error('Indica el nombre y el símbolo de la unidad');
+        }
+        if (this.getUnits(categoryKey)[id]) {
+            throw new Error(`Ya existe una unidad con el símbolo «${id}»`);
+        }
+        if (!(value > 0) || !isFinite(value)) {
+            throw new Error('El factor debe ser un número mayor que 0');
+        }
+
+        const unit = { id, label: `${label} (${id})` };
+        unit[category.rates ? 'rate' : 'factor'] = value;
+
+        this.customUnits[categoryKey] = [...(this.customUnits[categoryKey] || []), unit];
+
+        if (categoryKey === this.category) {
+            this.renderUnitOptions();
+            this.update();
+        } else {
+            this.saveState();
+        }
+
+        return unit;
+    },
+
+    removeUnit(key) {
+        this.customUnits[this.category] = (this.customUnits[this.category] || []).filter(unit => unit.id !== key);
+        this.selectCategory(this.category, { keepUnits: true });
+    }
+};
+
+// Exponer al scope global para acceso desde HTML
+window.UNIT_CATEGORIES = UNIT_CATEGORIES;
+window.UnitConverter = UnitConverter;
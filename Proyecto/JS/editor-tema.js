@@ -0,0 +1,508 @@
+/**
+ * Editor de temas de la página de Utilidades
+ * - Escalas primaria, secundaria y neutral generadas a partir de un color base
+ * - Aviso cuando algún token de texto no alcanza el contraste WCAG AA
+ * - Vista previa en vivo en toda la página mientras el editor está abierto
+ * - Guardado como tema con nombre (ThemeManager) y exportación/importación en JSON o CSS
+ */
+
+// ===== EDITOR DE TEMAS =====
+const ThemeEditor = {
+    format: 'themeEditor',
+    version: 1,
+
+    // Escalas de estilos.css; anchor es el tono que corresponde al color base
+    scales: {
+        primary: { label: 'Primaria', shades: [50, 100, 200, 300, 400, 500, 600, 700, 800, 900], anchor: 600, fallback: '#6A00F4' },
+        secondary: { label: 'Secundaria', shades: [100, 200, 300, 400, 500, 600], anchor: 600, fallback: '#F20089' },
+        neutral: { label: 'Neutral', shades: [50, 100, 200, 300, 400, 500, 600, 700, 800, 900], anchor: 500, fallback: '#64748B' }
+    },
+
+    /**
+     * Parejas texto/fondo tal como las usa estilos.css en cada modo.
+     * Cada valor es una variable del tema o un color fijo.
+     */
+    textTokens: {
+        light: [
+            { label: 'Texto principal', text: '--color-text', background: '--color-surface' },
+            { label: 'Texto secundario', text: '--color-neutral-600', background: '--color-surface' },
+            { label: 'Enlaces y títulos', text: '--color-primary-600', background: '--color-surface' },
+            { label: 'Botón principal', text: '#FFFFFF', background: '--color-primary-600' },
+            { label: 'Botón secundario', text: '#FFFFFF', background: '--color-secondary-500' }
+        ],
+        dark: [
+            { label: 'Texto principal', text: '--color-neutral-50', background: '--color-neutral-900' },
+            { label: 'Texto secundario', text: '--color-neutral-300', background: '--color-neutral-900' },
+            { label: 'Enlaces y títulos', text: '--color-primary-400', background: '--color-neutral-900' },
+            { label: 'Botón principal', text: '#FFFFFF', background: '--color-primary-600' },
+            { label: 'Botón secundario', text: '#FFFFFF', background: '--color-secondary-500' }
+        ]
+    },
+
+    name: '',
+    dark: false,
+    bases: {},
+    colors: {},
+
+    init() {
+        this.details = document.getElementById('theme-editor');
+        this.container = document.getElementById('theme-editor-body');
+        if (!this.details || !this.container) return;
+
+        this.render();
+        this.setupEventListeners();
+        this.loadCurrent();
+
+        // Al elegir otro tema se termina la vista previa y el editor parte de él
+        ThemeManager.onChange(() => {
+            this.loadCurrent();
+            this.renderSaved();
+        });
+    },
+
+    render() {
+        this.container.innerHTML = `
+            <div class="tool-actions">
+                <label class="tool-inline-field">
+                    Nombre
+                    <input type="text" id="theme-editor-name" class="tool-inline-input theme-editor-name" maxlength="40" placeholder="Mi tema">
+                </label>
+                <label class="tool-inline-field">
+                    <input type="checkbox" id="theme-editor-dark"> Tema oscuro
+                </label>
+            </div>
+            <div class="theme-editor-scales">
+                ${Object.entries(this.scales).map(([key, scale]) => `
+                    <div class="theme-editor-scale">
+                        <label class="tool-inline-field">
+                            <input type="color" data-scale-picker="${key}" aria-label="Color base ${scale.label.toLowerCase()}">
+                            <span>${scale.label}</span>
+                        </label>
+                        <input type="text" data-scale-hex="${key}" class="tool-inline-input" maxlength="7"
+                            aria-label="Color base ${scale.label.toLowerCase()} en HEX">
+                        <div class="theme-editor-shades" data-scale-shades="${key}"></div>
+                    </div>
+                `).join('')}
+            </div>
+            <h4 class="tool-section-title">Contraste de los textos (WCAG AA)</h4>
+            <p id="theme-editor-warning" class="theme-editor-warning" role="status"></p>
+            <ul id="theme-editor-contrast" class="theme-editor-contrast"></ul>
+            <div class="tool-actions">
+                <button type="button" class="tool-btn" data-editor-action="save">💾 Guardar tema</button>
+                <button type="button" class="tool-btn" data-editor-action="reset">Descartar cambios</button>
+                <button type="button" class="tool-btn" data-editor-action="export-json">Exportar JSON</button>
+                <button type="button" class="tool-btn" data-editor-action="export-css">Exportar CSS</button>
+                <button type="button" class="tool-btn" data-editor-action="import">Importar</button>
+                <label class="tool-btn theme-editor-file">
+                    Abrir archivo…
+                    <input type="file" id="theme-editor-file" accept=".json,.css,application/json,text/css" class="sr-only">
+                </label>
+            </div>
+            <label class="sr-only" for="theme-editor-io">JSON o CSS del tema</label>
+            <textarea id="theme-editor-io" class="tool-textarea" rows="6" spellcheck="false"
+                placeholder="Pega aquí un tema en JSON o CSS para importarlo"></textarea>
+            <h4 class="tool-section-title">Temas guardados</h4>
+            <ul id="theme-editor-saved" class="theme-editor-saved"></ul>
+        `;
+
+        this.nameInput = this.container.querySelector('#theme-editor-name');
+        this.darkInput = this.container.querySelector('#theme-editor-dark');
+        this.io = this.container.querySelector('#theme-editor-io');
+    },
+
+    setupEventListeners() {
+        const container = this.container;
+
+        // Vista previa solo con el editor abierto
+        this.details.addEventListener('toggle', () => {
+            if (this.details.open) {
+                this.preview();
+            } else {
+                ThemeManager.endPreview();
+            }
+        });
+
+        container.querySelectorAll('[data-scale-picker]').forEach(picker => {
+            picker.addEventListener('input', () => this.setBase(picker.dataset.scalePicker, picker.value));
+        });
+
+        container.querySelectorAll('[data-scale-hex]').forEach(input => {
+            input.addEventListener('change', () => {
+                const scale = input.dataset.scaleHex;
+
+                if (ColorUtils.isHex(input.value)) {
+                    this.setBase(scale, input.value);
+                } else {
+                    App.showNotification('Escribe un color HEX válido, por ejemplo #6A00F4', 'error');
+                    input.value = this.bases[scale];
+                }
+            });
+        });
+
+        this.nameInput.addEventListener('input', () => {
+            this.name = this.nameInput.value;
+        });
+
+        this.darkInput.addEventListener('change', () => {
+            this.dark = this.darkInput.checked;
+            this.update();
+        });
+
+        container.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-editor-action]');
+            const edit = e.target.closest('[data-edit-theme]');
+            const remove = e.target.closest('[data-remove-theme]');
+
+            if (action) this.handleAction(action.dataset.editorAction);
+            if (edit) this.loadTheme(ThemeManager.themes[edit.dataset.editTheme]);
+            if (remove) this.removeTheme(remove.dataset.removeTheme);
+        });
+
+        container.querySelector('#theme-editor-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            this.io.value = await file.text();
+            e.target.value = '';
+            this.handleAction('import');
+        });
+    },
+
+    handleAction(action) {
+        switch (action) {
+            case 'save':
+                this.save();
+                break;
+            case 'reset':
+                this.loadCurrent();
+                break;
+            case 'export-json':
+                this.export(this.toJSON(), 'JSON');
+                break;
+            case 'export-css':
+                this.export(this.toCss(), 'CSS');
+                break;
+            case 'import':
+                this.import(this.io.value);
+                break;
+        }
+    },
+
+    /**
+     * Carga en el editor el tema que se ve ahora en la página
+     */
+    loadCurrent() {
+        // Las variables de la vista previa no deben confundirse con las del tema
+        ThemeManager.endPreview();
+
+        const styles = getComputedStyle(document.documentElement);
+        const current = ThemeManager.themes[ThemeManager.theme];
+        const colors = {};
+
+        Object.entries(this.scales).forEach(([key, scale]) => {
+            scale.shades.forEach(shade => {
+                const name = `--color-${key}-${shade}`;
+                const value = current.colors[name] || styles.getPropertyValue(name).trim();
+                if (ColorUtils.isHex(value)) colors[name] = ColorUtils.toHex(ColorUtils.parseHex(value));
+            });
+        });
+
+        this.loadTheme({ label: current.custom ? current.label : '', dark: current.dark, colors });
+    },
+
+    /**
+     * Pasa un tema { label, dark, colors } al editor.
+     * Una escala incompleta se genera desde su color base; si el tema no la trae, se conserva la actual.
+     */
+    loadTheme(theme) {
+        if (!theme) return;
+
+        const previous = this.colors;
+
+        this.name = theme.label || '';
+        this.dark = Boolean(theme.dark);
+        this.colors = {};
+
+        Object.entries(this.scales).forEach(([key, scale]) => {
+            const names = scale.shades.map(shade => `--color-${key}-${shade}`);
+            const anchor = `--color-${key}-${scale.anchor}`;
+            let source = null;
+
+            if (names.every(name => theme.colors[name])) {
+                source = theme.colors;
+            } else if (!theme.colors[anchor] && names.every(name => previous[name])) {
+                source = previous;
+            }
+
+            if (source) {
+                names.forEach(name => {
+                    this.colors[name] = ColorUtils.toHex(ColorUtils.parseHex(source[name]));
+                });
+                this.bases[key] = this.colors[anchor];
+            } else {
+                this.bases[key] = ColorUtils.toHex(ColorUtils.parseHex(theme.colors[anchor] || scale.fallback));
+                this.generateScale(key);
+            }
+        });
+
+        this.nameInput.value = this.name;
+        this.darkInput.checked = this.dark;
+        this.update();
+        this.renderSaved();
+    },
+
+    setBase(scale, hex) {
+        this.bases[scale] = ColorUtils.toHex(ColorUtils.parseHex(hex));
+        this.generateScale(scale);
+        this.update();
+    },
+
+    generateScale(key) {
+        const scale = this.scales[key];
+        const shades = ColorUtils.generateShades(this.bases[key], scale.shades, scale.anchor);
+
+        Object.entries(shades).forEach(([shade, hex]) => {
+            this.colors[`--color-${key}-${shade}`] = hex;
+        });
+    },
+
+    /**
+     * Tema completo: escalas más el fondo y el texto de la página
+     */
+    getTheme() {
+        return {
+            label: this.name.trim(),
+            dark: this.dark,
+            colors: {
+                ...this.colors,
+                '--color-surface': this.colors['--color-neutral-50'],
+                '--color-text': this.colors['--color-neutral-900']
+            }
+        };
+    },
+
+    update() {
+        this.renderScales();
+        this.renderContrast();
+        if (this.details.open) this.preview();
+    },
+
+    preview() {
+        ThemeManager.preview(this.getTheme());
+    },
+
+    renderScales() {
+        Object.entries(this.scales).forEach(([key, scale]) => {
+            this.container.querySelector(`[data-scale-picker="${key}"]`).value = this.bases[key].toLowerCase();
+            this.container.querySelector(`[data-scale-hex="${key}"]`).value = this.bases[key];
+
+            this.container.querySelector(`[data-scale-shades="${key}"]`).innerHTML = scale.shades.map(shade => {
+                const name = `--color-${key}-${shade}`;
+                const color = this.colors[name];
+                const text = ColorUtils.getContrast(color, '#FFFFFF') >= ColorUtils.getContrast(color, '#000000') ? '#FFFFFF' : '#000000';
+
+                return `<span class="theme-editor-shade${shade === scale.anchor ? ' is-base' : ''}"
+                    style="background-color: ${color}; color: ${text}" title="${name}: ${color}">${shade}</span>`;
+            }).join('');
+        });
+    },
+
+    /**
+     * Contraste de cada token de texto del modo del tema
+     * @returns {Array<{ label, text, background, ratio, level, passes }>}
+     */
+    getContrastReport() {
+        const colors = this.getTheme().colors;
+        const resolve = (value) => value.startsWith('--') ? colors[value] : value;
+
+        return this.textTokens[this.dark ? 'dark' : 'light'].map(token => {
+            const text = resolve(token.text);
+            const background = resolve(token.background);
+            const ratio = ColorUtils.getContrast(text, background);
+
+            return { label: token.label, text, background, ratio, ...ColorUtils.getWcagLevel(ratio) };
+        });
+    },
+
+    renderContrast() {
+        const report = this.getContrastReport();
+        const failing = report.filter(item => !item.passes);
+
+        this.container.querySelector('#theme-editor-contrast').innerHTML = report.map(item => `
+            <li class="${item.passes ? 'contrast-pass' : 'contrast-fail'}">
+                <span class="theme-editor-sample" style="color: ${item.text}; background-color: ${item.background}">Aa</span>
+                <span>${item.label}</span>
+                <span>${item.ratio.toFixed(2)} · ${item.passes ? '✓' : '⚠️'} ${item.level}</span>
+            </li>
+        `).join('');
+
+        this.container.querySelector('#theme-editor-warning').textContent = failing.length > 0
+            ? `⚠️ ${failing.length === 1 ? 'Un texto no alcanza' : `${failing.length} textos no alcanzan`} el contraste AA (4,5:1): ${failing.map(item => item.label.toLowerCase()).join(', ')}`
+            : '';
+    },
+
+    renderSaved() {
+        const themes = ThemeManager.getCustomThemes();
+        const escape = DOMManager.escapeHTML;
+
+        this.container.querySelector('#theme-editor-saved').innerHTML = themes.length === 0
+            ? '<li class="tool-note">Todavía no has guardado ningún tema.</li>'
+            : themes.map(theme => `
+                <li>
+                    <span class="theme-editor-chip" style="background-color: ${theme.colors['--color-primary-600'] || '#6A00F4'}"></span>
+                    <span class="theme-editor-saved-name">${escape(theme.label)}${ThemeManager.preference === theme.id ? ' (en uso)' : ''}</span>
+                    <button type="button" class="tool-btn" data-edit-theme="${escape(theme.id)}">Editar</button>
+                    <button type="button" class="tool-btn" data-remove-theme="${escape(theme.id)}">Eliminar</button>
+                </li>
+            `).join('');
+    },
+
+    /**
+     * Guarda el tema con su nombre y lo deja en uso
+     */
+    save() {
+        const theme = this.getTheme();
+
+        if (!theme.label) {
+            App.showNotification('Escribe un nombre para el tema', 'error');
+            this.nameInput.focus();
+            return;
+        }
+
+        const id = ThemeManager.saveTheme(theme);
+        ThemeManager.setTheme(id);
+        App.showNotification(`Tema «${DOMManager.escapeHTML(theme.label)}» guardado`, 'success');
+    },
+
+    removeTheme(id) {
+        const wasActive = ThemeManager.preference === id;
+        const removed = ThemeManager.removeTheme(id);
+        if (!removed) return;
+
+        this.renderSaved();
+
+        App.showNotification(`Tema «${DOMManager.escapeHTML(removed.label)}» eliminado`, 'info', {
+            label: 'Deshacer',
+            handler: () => {
+                const restoredId = ThemeManager.saveTheme(removed);
+                if (wasActive) ThemeManager.setTheme(restoredId);
+                this.renderSaved();
+            }
+        });
+    },
+
+    toJSON() {
+        const theme = this.getTheme();
+
+        return JSON.stringify({
+            format: this.format,
+            version: this.version,
+            name: theme.label,
+            dark: theme.dark,
+            bases: this.bases,
+            colors: theme.colors
+        }, null, 2);
+    },
+
+    /**
+     * Fragmento CSS con la misma forma que el :root de estilos.css
+     */
+    toCss() {
+        const theme = this.getTheme();
+        const lines = Object.entries(theme.colors).map(([name, value]) => `    ${name}: ${value};`);
+        const header = [`/* Tema: ${(theme.label || 'Sin nombre').replace(/\*\//g, '')} */`];
+
+        if (theme.dark) header.push('/* Tema oscuro: usar junto con la clase "dark" en <html> */');
+
+        return `${header.join('\n')}\n:root {\n${lines.join('\n')}\n}`;
+    },
+
+    async export(text, format) {
+        this.io.value = text;
+
+        try {
+            await navigator.clipboard.writeText(text);
+            App.showNotification(`Tema copiado como ${format}`, 'success');
+        } catch (error) {
+            App.showNotification(`Tema exportado como ${format} en el cuadro de texto`, 'info');
+        }
+    },
+
+    /**
+     * Importa un tema en JSON (exportado por el editor) o CSS con variables --color-*
+     */
+    import(text) {
+        try {
+            const theme = text.trim().startsWith('{') ? this.parseJSON(text) : this.parseCss(text);
+            this.loadTheme(theme);
+            App.showNotification(`Tema «${DOMManager.escapeHTML(theme.label || 'sin nombre')}» importado. Guárdalo para conservarlo`, 'success');
+        } catch (error) {
+            App.showNotification(DOMManager.escapeHTML(error.message), 'error');
+        }
+    },
+
+    parseJSON(text) {
+        let data;
+
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('El JSON no es válido');
+        }
+
+        if (!data || data.format !== this.format || typeof data.colors !== 'object' || data.colors === null) {
+            throw new Error('El JSON no es un tema exportado por el editor');
+        }
+        if (data.version > this.version) {
+            throw new Error(`Versión de tema no compatible: ${data.version}`);
+        }
+
+        return this.validate({ label: data.name, dark: data.dark, colors: data.colors });
+    },
+
+    parseCss(text) {
+        const colors = {};
+        const pattern = /(--color-[a-z]+-\d+)\s*:\s*(#[0-9a-f]{3,6})\s*;?/gi;
+
+        for (const [, name, value] of text.matchAll(pattern)) {
+            colors[name.toLowerCase()] = value;
+        }
+
+        const name = text.match(/\/\*\s*Tema:\s*(.+?)\s*\*\//);
+
+        return this.validate({
+            label: name ? name[1] : '',
+            dark: /\.dark\b|color-scheme:\s*dark|Tema oscuro/i.test(text),
+            colors
+        });
+    },
+
+    /**
+     * Se queda con las variables de las escalas del editor; exige al menos un color base
+     */
+    validate(theme) {
+        const colors = {};
+
+        Object.entries(this.scales).forEach(([key, scale]) => {
+            scale.shades.forEach(shade => {
+                const name = `--color-${key}-${shade}`;
+                const value = theme.colors[name];
+                if (typeof value === 'string' && ColorUtils.isHex(value)) colors[name] = value;
+            });
+        });
+
+        const hasBase = Object.entries(this.scales).some(([key, scale]) => colors[`--color-${key}-${scale.anchor}`]);
+        if (!hasBase) {
+            throw new Error('No se encontraron colores base (--color-primary-600, --color-secondary-600 o --color-neutral-500)');
+        }
+
+        return {
+            label: typeof theme.label === 'string' ? theme.label.trim().slice(0, 40) : '',
+            dark: Boolean(theme.dark),
+            colors
+        };
+    }
+};
+
+// Exponer al scope global para acceso desde HTML
+window.ThemeEditor = ThemeEditor;
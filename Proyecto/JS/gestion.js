@@ -0,0 +1,1827 @@
+/**
+ * Herramientas de la página de Gestión
+ * Funcionalidades sobre la lista dinámica (DynamicList en script.js):
+ * - Importación/exportación en JSON y CSV
+ * - Búsqueda, filtros combinables y orden, guardados en el hash de la URL
+ * - Vistas de la lista (tarjetas, agenda por días y tablero Kanban)
+ * - Recordatorios de fechas límite, con notificaciones del navegador opcionales
+ * - Gráficas de estadísticas (SVG) que filtran la lista al pulsarlas
+ */
+
+// ===== IMPORTACIÓN / EXPORTACIÓN =====
+const ListTransfer = {
+    // Columnas exportadas, en orden
+    columns: ['id', 'title', 'description', 'value', 'category', 'priority', 'date', 'createdAt'],
+    // JSON admite además los campos anidados (el CSV solo las columnas planas)
+    jsonColumns: ['manualValue', 'subtasks'],
+    pendingImport: null,
+    getFilteredItems: null,
+
+    /**
+     * Inicializa los botones de importación y exportación
+     * @param {Object} options - { getFilteredItems: función que devuelve la vista filtrada }
+     */
+    init(options = {}) {
+        this.getFilteredItems = options.getFilteredItems || (() => DynamicList.items);
+        this.fileInput = document.getElementById('import-file');
+        this.preview = document.getElementById('import-preview');
+
+        DOMManager.addListener('export-json-btn', 'click', () => this.exportItems('json'));
+        DOMManager.addListener('export-csv-btn', 'click', () => this.exportItems('csv'));
+        DOMManager.addListener('import-btn', 'click', () => this.fileInput?.click());
+
+        if (this.fileInput) {
+            this.fileInput.addEventListener('change', () => {
+                const file = this.fileInput.files[0];
+                if (file) {
+                    this.readFile(file);
+                }
+                this.fileInput.value = '';
+            });
+        }
+    },
+
+    /**
+     * Reglas de validación: las mismas que FormValidator lee de #item-title y #item-value
+     */
+    getRules() {
+        const titleInput = document.getElementById('item-title');
+
+        return {
+            titleMin: parseInt(titleInput?.getAttribute('minlength')) || 1,
+            titleMax: parseInt(titleInput?.getAttribute('maxlength')) || 100,
+            valueMin: 0,
+            valueMax: 100,
+            descriptionMax: parseInt(document.getElementById('item-description')?.maxLength) || 150
+        };
+    },
+
+    /**
+     * Devuelve los items a exportar según el alcance elegido
+     */
+    getExportItems() {
+        const scope = document.getElementById('export-scope')?.value || 'all';
+        return scope === 'filtered' ? this.getFilteredItems() : DynamicList.items;
+    },
+
+    /**
+     * Exporta los items como archivo descargable
+     */
+    exportItems(format) {
+        const items = this.getExportItems();
+
+        if (items.length === 0) {
+            App.showNotification('No hay elementos para exportar', 'error');
+            return;
+        }
+
+        const date = new Date().toISOString().split('T')[0];
+
+        if (format === 'csv') {
+            // BOM para que Excel reconozca los acentos
+            this.download(`lista-elementos-${date}.csv`, '\uFEFF' + this.toCSV(items), 'text/csv;charset=utf-8');
+        } else {
+            this.download(`lista-elementos-${date}.json`, this.toJSON(items), 'application/json');
+        }
+
+        App.showNotification(`⬇️ ${items.length} elementos exportados (${format.toUpperCase()})`, 'success');
+    },
+
+    /**
+     * Serializa los items en JSON con una cabecera de formato
+     */
+    toJSON(items) {
+        return JSON.stringify({
+            format: DynamicList.storageKey,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            items: items.map(item => this.pickColumns(item, [...this.columns, ...this.jsonColumns]))
+        }, null, 2);
+    },
+
+    /**
+     * Serializa los items en CSV (RFC 4180)
+     */
+    toCSV(items) {
+        const escapeCell = (value) => {
+            const text = value == null ? '' : String(value);
+            return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [this.columns.join(',')];
+        items.forEach(item => {
+            lines.push(this.columns.map(column => escapeCell(item[column])).join(','));
+        });
+
+        return lines.join('\r\n');
+    },
+
+    /**
+     * Se queda solo con las columnas conocidas de un item
+     */
+    pickColumns(item, columns = this.columns) {
+        const result = {};
+        columns.forEach(column => {
+            if (item[column] !== undefined) {
+                result[column] = item[column];
+            }
+        });
+        return result;
+    },
+
+    /**
+     * Descarga un texto como archivo
+     */
+    download(fileName, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = DOMManager.createElement('a', { href: url, download: fileName });
+
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    /**
+     * Lee un archivo y muestra la vista previa de la importación (sin aplicar cambios)
+     */
+    async readFile(file) {
+        try {
+            const text = await file.text();
+            const isCSV = /\.csv$/i.test(file.name) || file.type === 'text/csv';
+            const rows = isCSV ? this.parseCSV(text) : this.parseJSON(text);
+
+            this.pendingImport = this.validateRows(rows);
+            this.pendingImport.fileName = file.name;
+            this.renderPreview();
+        } catch (error) {
+            this.pendingImport = null;
+            this.hidePreview();
+            App.showNotification(`❌ No se pudo importar: ${DOMManager.escapeHTML(error.message)}`, 'error');
+        }
+    },
+
+    /**
+     * Interpreta un JSON exportado (objeto con "items" o array de items)
+     */
+    parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error('el archivo no es un JSON válido');
+        }
+
+        const rows = Array.isArray(data) ? data : data?.items;
+        if (!Array.isArray(rows)) {
+            throw new Error('se esperaba una lista de elementos o un objeto con la propiedad "items"');
+        }
+
+        return rows;
+    },
+
+    /**
+     * Interpreta un CSV con cabecera (separador "," o ";")
+     */
+    parseCSV(text) {
+        const content = text.replace(/^\uFEFF/, '');
+        const firstLine = content.split(/\r?\n/)[0];
+        const delimiter = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+        const records = [];
+        let record = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                record.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                record.push(cell);
+                records.push(record);
+                record = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error('el CSV tiene comillas sin cerrar');
+        }
+
+        if (cell !== '' || record.length > 0) {
+            record.push(cell);
+            records.push(record);
+        }
+
+        const nonEmpty = records.filter(row => row.some(value => value.trim() !== ''));
+        if (nonEmpty.length === 0) {
+            throw new Error('el CSV está vacío');
+        }
+
+        const header = nonEmpty[0].map(name => name.trim());
+        const missing = ['title', 'value'].filter(column => !header.includes(column));
+        if (missing.length > 0) {
+            throw new Error(`faltan las columnas obligatorias: ${missing.join(', ')}`);
+        }
+
+        return nonEmpty.slice(1).map(row => {
+            const item = {};
+            header.forEach((column, index) => {
+                if (this.columns.includes(column) && row[index] !== undefined && row[index] !== '') {
+                    item[column] = row[index];
+                }
+            });
+            return item;
+        });
+    },
+
+    /**
+     * Comprueba cada fila contra el esquema y las reglas del formulario.
+     * Los id que no son enteros positivos o se repiten, y los createdAt que no son
+     * fechas ISO, se descartan: importItems y normalizeItem generan unos nuevos.
+     * @returns {{ valid: Array, errors: Array<{ row: number, messages: string[] }> }}
+     */
+    validateRows(rows) {
+        const rules = this.getRules();
+        const valid = [];
+        const errors = [];
+        const seenIds = new Set();
+
+        rows.forEach((row, index) => {
+            const messages = [];
+
+            if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                errors.push({ row: index + 1, messages: ['no es un objeto'] });
+                return;
+            }
+
+            if (!FormValidator.isValidText(row.title, rules.titleMin, rules.titleMax)) {
+                messages.push(`título: debe tener entre ${rules.titleMin} y ${rules.titleMax} caracteres`);
+            }
+
+            if (!FormValidator.isValidNumber(row.value, rules.valueMin, rules.valueMax)) {
+                messages.push(`valor: debe ser un número entre ${rules.valueMin} y ${rules.valueMax}`);
+            }
+
+            if (row.description != null && String(row.description).length > rules.descriptionMax) {
+                messages.push(`descripción: máximo ${rules.descriptionMax} caracteres`);
+            }
+
+            if (row.category != null && !DynamicList.categories[row.category]) {
+                messages.push(`categoría desconocida "${row.category}"`);
+            }
+
+            if (row.priority != null && !DynamicList.priorities[row.priority]) {
+                messages.push(`prioridad desconocida "${row.priority}"`);
+            }
+
+            if (row.date != null && (!/^\d{4}-\d{2}-\d{2}$/.test(row.date) || isNaN(new Date(row.date)))) {
+                messages.push('fecha: formato AAAA-MM-DD');
+            }
+
+            if (row.subtasks != null && !Array.isArray(row.subtasks)) {
+                messages.push('sub-tareas: debe ser una lista');
+            }
+
+            if (messages.length > 0) {
+                errors.push({ row: index + 1, messages: messages });
+                return;
+            }
+
+            const item = {
+                ...this.pickColumns(row, [...this.columns, ...this.jsonColumns]),
+                title: String(row.title).trim(),
+                description: row.description == null ? '' : String(row.description).trim(),
+                value: parseInt(row.value)
+            };
+
+            const id = /^\d+$/.test(String(row.id ?? '').trim()) ? Number(row.id) : NaN;
+            if (Number.isSafeInteger(id) && id > 0 && !seenIds.has(id)) {
+                item.id = id;
+                seenIds.add(id);
+            } else {
+                delete item.id;
+            }
+
+            if (!this.isIsoDate(row.createdAt)) {
+                delete item.createdAt;
+            }
+
+            valid.push(item);
+        });
+
+        return { valid: valid, errors: errors };
+    },
+
+    /**
+     * Indica si un valor es una fecha ISO completa (AAAA-MM-DDTHH:MM...) válida
+     */
+    isIsoDate(value) {
+        return typeof value === 'string' &&
+            /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value) &&
+            !isNaN(Date.parse(value));
+    },
+
+    /**
+     * Muestra la vista previa (dry-run) de la importación pendiente
+     */
+    renderPreview() {
+        if (!this.preview || !this.pendingImport) return;
+
+        const escape = DOMManager.escapeHTML;
+        const { valid, errors, fileName } = this.pendingImport;
+
+        const rowsHTML = valid.slice(0, 5).map(item => `
+            <tr>
+                <td>${escape(item.title)}</td>
+                <td>${item.value}%</td>
+                <td>${escape(DynamicList.categories[item.category]?.label || 'Otro')}</td>
+                <td>${escape(DynamicList.priorities[item.priority] || 'Media')}</td>
+            </tr>
+        `).join('');
+
+        const errorsHTML = errors.slice(0, 10).map(error => `
+            <li>Fila ${error.row}: ${escape(error.messages.join('; '))}</li>
+        `).join('');
+
+        this.preview.innerHTML = `
+            <h4 class="font-bold mb-2">Vista previa de importación: ${escape(fileName)}</h4>
+            <p class="text-sm mb-2">
+                <strong>${valid.length}</strong> filas válidas,
+                <strong>${errors.length}</strong> filas con errores (se omitirán).
+            </p>
+            ${valid.length > 0 ? `
+                <table class="import-table">
+                    <thead>
+                        <tr><th>Título</th><th>Valor</th><th>Categoría</th><th>Prioridad</th></tr>
+                    </thead>
+                    <tbody>${rowsHTML}</tbody>
+                </table>
+                ${valid.length > 5 ? `<p class="text-sm">… y ${valid.length - 5} más</p>` : ''}
+            ` : ''}
+            ${errors.length > 0 ? `
+                <ul class="import-errors">${errorsHTML}</ul>
+                ${errors.length > 10 ? `<p class="text-sm">… y ${errors.length - 10} errores más</p>` : ''}
+            ` : ''}
+            <div class="import-options">
+                <label><input type="radio" name="import-mode" value="merge" checked> Combinar con la lista</label>
+                <label><input type="radio" name="import-mode" value="replace"> Reemplazar la lista</label>
+            </div>
+            <div class="flex gap-2 mt-4">
+                <button type="button" class="btn btn-primary btn-sm" data-import-action="confirm"
+                    ${valid.length === 0 ? 'disabled' : ''}>
+                    ✅ Importar ${valid.length} elementos
+                </button>
+                <button type="button" class="btn btn-outline btn-sm" data-import-action="cancel">
+                    Cancelar
+                </button>
+            </div>
+        `;
+
+        this.preview.querySelector('[data-import-action="confirm"]')
+            .addEventListener('click', () => this.confirmImport());
+        this.preview.querySelector('[data-import-action="cancel"]')
+            .addEventListener('click', () => this.cancelImport());
+
+        this.preview.classList.remove('hidden');
+    },
+
+    /**
+     * Aplica la importación pendiente
+     */
+    confirmImport() {
+        if (!this.pendingImport || this.pendingImport.valid.length === 0) return;
+
+        const mode = this.preview.querySelector('input[name="import-mode"]:checked')?.value || 'merge';
+        const result = DynamicList.importItems(this.pendingImport.valid, mode);
+
+        this.pendingImport = null;
+        this.hidePreview();
+
+        const command = CommandHistory.peek();
+        const replacedText = result.replaced > 0 ? `, ${result.replaced} actualizados` : '';
+        App.showNotification(`⬆️ ${result.added} elementos importados${replacedText}`, 'success', {
+            label: '↶ Deshacer',
+            handler: () => CommandHistory.undo(command)
+        });
+    },
+
+    /**
+     * Descarta la importación pendiente
+     */
+    cancelImport() {
+        this.pendingImport = null;
+        this.hidePreview();
+    },
+
+    /**
+     * Oculta la vista previa
+     */
+    hidePreview() {
+        if (this.preview) {
+            this.preview.classList.add('hidden');
+            this.preview.innerHTML = '';
+        }
+    }
+};
+
+// ===== BÚSQUEDA, FILTROS Y ORDEN =====
+const ListQuery = {
+    defaults: {
+        q: '',
+        categories: [],
+        priorities: [],
+        valueMin: null,
+        valueMax: null,
+        dateFrom: '',
+        dateTo: '',
+        createdFrom: '',
+        createdTo: '',
+        sort: 'list'
+    },
+    state: null,
+    searchDelay: 200,
+
+    // Nombre de cada campo en el hash de la URL
+    hashKeys: {
+        q: 'q',
+        categories: 'cat',
+        priorities: 'prio',
+        valueMin: 'vmin',
+        valueMax: 'vmax',
+        dateFrom: 'desde',
+        dateTo: 'hasta',
+        createdFrom: 'creadoDesde',
+        createdTo: 'creadoHasta',
+        sort: 'orden'
+    },
+
+    // Peso de cada prioridad para ordenar
+    priorityRank: { alta: 0, media: 1, baja: 2 },
+
+    // Criterios de orden disponibles ('list' respeta el orden guardado)
+    sorters: {
+        list: { label: 'Orden de la lista', compare: null },
+        'date-asc': { label: 'Fecha límite (próximas primero)', compare: (a, b) => ListQuery.compareDates(a.date, b.date) },
+        'date-desc': { label: 'Fecha límite (lejanas primero)', compare: (a, b) => ListQuery.compareDates(a.date, b.date, -1) },
+        'value-desc': { label: 'Valor (mayor a menor)', compare: (a, b) => b.value - a.value },
+        'value-asc': { label: 'Valor (menor a mayor)', compare: (a, b) => a.value - b.value },
+        priority: { label: 'Prioridad (alta primero)', compare: (a, b) => ListQuery.priorityRank[a.priority] - ListQuery.priorityRank[b.priority] },
+        title: { label: 'Título (A-Z)', compare: (a, b) => a.title.localeCompare(b.title, 'es', { sensitivity: 'base' }) }
+    },
+
+    /**
+     * Inicializa los controles y aplica la consulta guardada en la URL
+     */
+    init() {
+        this.searchInput = document.getElementById('list-search');
+        this.categoryFilters = document.getElementById('filter-categories');
+        this.priorityFilters = document.getElementById('filter-priorities');
+        this.valueMinInput = document.getElementById('filter-value-min');
+        this.valueMaxInput = document.getElementById('filter-value-max');
+        this.dateFromInput = document.getElementById('filter-date-from');
+        this.dateToInput = document.getElementById('filter-date-to');
+        this.createdFromInput = document.getElementById('filter-created-from');
+        this.createdToInput = document.getElementById('filter-created-to');
+        this.sortSelect = document.getElementById('list-sort');
+        this.summary = document.getElementById('filter-summary');
+
+        this.renderControls();
+        this.state = this.fromHash(window.location.hash);
+        this.syncControls();
+        this.setupListeners();
+
+        DynamicList.setViewFilter(items => this.apply(items));
+        this.updateSummary();
+    },
+
+    /**
+     * Crea los botones de categoría/prioridad y las opciones de orden
+     */
+    renderControls() {
+        if (this.categoryFilters) {
+            this.categoryFilters.innerHTML = Object.entries(DynamicList.categories)
+                .map(([key, category]) => `<button type="button" class="filter-btn" data-category="${key}" aria-pressed="false">${category.label}</button>`)
+                .join('');
+        }
+
+        if (this.priorityFilters) {
+            this.priorityFilters.innerHTML = Object.entries(DynamicList.priorities)
+                .map(([key, label]) => `<button type="button" class="filter-btn" data-priority="${key}" aria-pressed="false">${label}</button>`)
+                .join('');
+        }
+
+        if (this.sortSelect) {
+            this.sortSelect.innerHTML = Object.entries(this.sorters)
+                .map(([key, sorter]) => `<option value="${key}">${sorter.label}</option>`)
+                .join('');
+        }
+    },
+
+    /**
+     * Conecta los controles con el estado de la consulta
+     */
+    setupListeners() {
+        let searchTimeout = null;
+
+        this.searchInput?.addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => this.setState({ q: this.searchInput.value }), this.searchDelay);
+        });
+
+        this.categoryFilters?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-category]');
+            if (button) {
+                this.setState({ categories: this.toggleValue(this.state.categories, button.dataset.category) });
+            }
+        });
+
+        this.priorityFilters?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-priority]');
+            if (button) {
+                this.setState({ priorities: this.toggleValue(this.state.priorities, button.dataset.priority) });
+            }
+        });
+
+        this.valueMinInput?.addEventListener('change', () => this.setState({ valueMin: this.parseValue(this.valueMinInput.value) }));
+        this.valueMaxInput?.addEventListener('change', () => this.setState({ valueMax: this.parseValue(this.valueMaxInput.value) }));
+        this.dateFromInput?.addEventListener('change', () => this.setState({ dateFrom: this.dateFromInput.value }));
+        this.dateToInput?.addEventListener('change', () => this.setState({ dateTo: this.dateToInput.value }));
+        this.createdFromInput?.addEventListener('change', () => this.setState({ createdFrom: this.createdFromInput.value }));
+        this.createdToInput?.addEventListener('change', () => this.setState({ createdTo: this.createdToInput.value }));
+        this.sortSelect?.addEventListener('change', () => this.setState({ sort: this.sortSelect.value }));
+
+        DOMManager.addListener('clear-filters-btn', 'click', () => this.reset());
+
+        // Navegación manual del hash (atrás/adelante o URL editada)
+        window.addEventListener('hashchange', () => {
+            this.state = this.fromHash(window.location.hash);
+            this.refresh();
+        });
+
+        // El resumen depende también de los datos
+        document.addEventListener('dynamicListChanged', () => this.updateSummary());
+    },
+
+    /**
+     * Actualiza parte de la consulta, la guarda en la URL y refresca la lista
+     */
+    setState(changes) {
+        this.state = { ...this.state, ...changes };
+        this.writeHash();
+        this.refresh();
+    },
+
+    /**
+     * Restablece todos los filtros
+     */
+    reset() {
+        this.setState({ ...this.defaults });
+    },
+
+    /**
+     * Vuelve a pintar controles, lista y resumen con el estado actual
+     */
+    refresh() {
+        this.syncControls();
+        DynamicList.render();
+        this.updateSummary();
+
+        document.dispatchEvent(new CustomEvent('listQueryChanged', {
+            detail: { state: this.state }
+        }));
+    },
+
+    /**
+     * Filtra y ordena los items según la consulta
+     * @param {Array} items - Items de DynamicList
+     * @param {Object} state - Consulta a aplicar (por defecto la activa)
+     * @returns {Array} Nueva lista con la vista resultante
+     */
+    apply(items, state = this.state || this.defaults) {
+        const terms = this.normalizeText(state.q).split(/\s+/).filter(Boolean);
+
+        const filtered = items.filter(item => {
+            if (terms.length > 0) {
+                const subtasks = item.subtasks.map(subtask => subtask.text).join(' ');
+                const text = this.normalizeText(`${item.title} ${item.description} ${subtasks}`);
+                if (!terms.every(term => text.includes(term))) return false;
+            }
+
+            if (state.categories.length > 0 && !state.categories.includes(item.category)) return false;
+            if (state.priorities.length > 0 && !state.priorities.includes(item.priority)) return false;
+            if (state.valueMin !== null && item.value < state.valueMin) return false;
+            if (state.valueMax !== null && item.value > state.valueMax) return false;
+
+            // Las fechas están en formato YYYY-MM-DD, se comparan como texto
+            if (state.dateFrom && (!item.date || item.date < state.dateFrom)) return false;
+            if (state.dateTo && (!item.date || item.date > state.dateTo)) return false;
+
+            if (state.createdFrom || state.createdTo) {
+                const created = DynamicList.toDateKey(new Date(item.createdAt));
+                if (state.createdFrom && created < state.createdFrom) return false;
+                if (state.createdTo && created > state.createdTo) return false;
+            }
+
+            return true;
+        });
+
+        const compare = (this.sorters[state.sort] || this.sorters.list).compare;
+        return compare ? filtered.sort(compare) : filtered;
+    },
+
+    /**
+     * Devuelve los items de la vista actual
+     */
+    getResults() {
+        return this.apply(DynamicList.items);
+    },
+
+    /**
+     * Indica si hay algún filtro activo (el orden no cuenta)
+     */
+    hasFilters() {
+        const { q, categories, priorities, valueMin, valueMax, dateFrom, dateTo, createdFrom, createdTo } = this.state;
+        return Boolean(q.trim() || categories.length || priorities.length ||
+            valueMin !== null || valueMax !== null || dateFrom || dateTo || createdFrom || createdTo);
+    },
+
+    /**
+     * Lee la consulta desde el hash de la URL, descartando valores no válidos
+     */
+    fromHash(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const keys = this.hashKeys;
+        const list = (key) => (params.get(key) || '').split(',').filter(Boolean);
+        const date = (key) => /^\d{4}-\d{2}-\d{2}$/.test(params.get(key)) ? params.get(key) : '';
+        const sort = params.get(keys.sort);
+
+        return {
+            q: params.get(keys.q) || '',
+            categories: list(keys.categories).filter(key => DynamicList.categories[key]),
+            priorities: list(keys.priorities).filter(key => DynamicList.priorities[key]),
+            valueMin: this.parseValue(params.get(keys.valueMin)),
+            valueMax: this.parseValue(params.get(keys.valueMax)),
+            dateFrom: date(keys.dateFrom),
+            dateTo: date(keys.dateTo),
+            createdFrom: date(keys.createdFrom),
+            createdTo: date(keys.createdTo),
+            sort: this.sorters[sort] ? sort : this.defaults.sort
+        };
+    },
+
+    /**
+     * Convierte la consulta en hash, omitiendo los valores por defecto
+     */
+    toHash(state = this.state) {
+        const params = new URLSearchParams();
+
+        Object.entries(this.hashKeys).forEach(([field, key]) => {
+            const value = state[field];
+            const isDefault = Array.isArray(value) ? value.length === 0 : value === this.defaults[field];
+
+            if (!isDefault && value !== '') {
+                params.set(key, Array.isArray(value) ? value.join(',') : value);
+            }
+        });
+
+        // Las comas de las listas se dejan legibles en la URL
+        return params.toString().replace(/%2C/gi, ',');
+    },
+
+    /**
+     * Guarda la consulta en la URL sin añadir entradas al historial
+     */
+    writeHash() {
+        const hash = this.toHash();
+        const url = window.location.pathname + window.location.search + (hash ? `#${hash}` : '');
+        history.replaceState(null, '', url);
+    },
+
+    /**
+     * Refleja el estado en los controles
+     */
+    syncControls() {
+        const state = this.state;
+
+        if (this.searchInput && this.searchInput.value !== state.q) {
+            this.searchInput.value = state.q;
+        }
+
+        this.categoryFilters?.querySelectorAll('[data-category]').forEach(button => {
+            const active = state.categories.includes(button.dataset.category);
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active);
+        });
+
+        this.priorityFilters?.querySelectorAll('[data-priority]').forEach(button => {
+            const active = state.priorities.includes(button.dataset.priority);
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active);
+        });
+
+        if (this.valueMinInput) this.valueMinInput.value = state.valueMin ?? '';
+        if (this.valueMaxInput) this.valueMaxInput.value = state.valueMax ?? '';
+        if (this.dateFromInput) this.dateFromInput.value = state.dateFrom;
+        if (this.dateToInput) this.dateToInput.value = state.dateTo;
+        if (this.createdFromInput) this.createdFromInput.value = state.createdFrom;
+        if (this.createdToInput) this.createdToInput.value = state.createdTo;
+        if (this.sortSelect) this.sortSelect.value = state.sort;
+    },
+
+    /**
+     * Muestra cuántos items coinciden con la consulta
+     */
+    updateSummary() {
+        if (!this.summary || !this.state) return;
+
+        const total = DynamicList.items.length;
+        const shown = this.getResults().length;
+
+        this.summary.textContent = this.hasFilters()
+            ? `Mostrando ${shown} de ${total} elementos`
+            : '';
+    },
+
+    /**
+     * Añade o quita un valor de una lista de facetas
+     */
+    toggleValue(values, value) {
+        return values.includes(value)
+            ? values.filter(current => current !== value)
+            : [...values, value];
+    },
+
+    /**
+     * Convierte un límite de valor en número dentro de 0-100, o null si está vacío
+     */
+    parseValue(value) {
+        const number = parseInt(value);
+        return isNaN(number) ? null : Math.min(100, Math.max(0, number));
+    },
+
+    /**
+     * Compara fechas YYYY-MM-DD dejando al final los items sin fecha
+     * @param {number} direction - 1 ascendente, -1 descendente
+     */
+    compareDates(a, b, direction = 1) {
+        if (!a) return b ? 1 : 0;
+        if (!b) return -1;
+        return a.localeCompare(b) * direction;
+    },
+
+    /**
+     * Pasa a minúsculas y quita acentos para buscar sin distinguirlos
+     */
+    normalizeText(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+};
+
+// ===== VISTAS DE LA LISTA =====
+const ListViews = {
+    storageKey: 'gestionView',
+    current: 'cards',
+
+    // Vistas disponibles: las tarjetas las pinta DynamicList, el resto su propio render
+    views: {
+        cards: { label: '🗂️ Tarjetas', containerId: 'lista-dinamica', render: null },
+        agenda: { label: '📆 Agenda', containerId: 'agenda-view', render: () => ListAgenda.render() },
+        board: { label: '📋 Tablero', containerId: 'board-view', render: () => ListBoard.render() }
+    },
+
+    /**
+     * Crea el selector de vistas y muestra la última vista usada
+     */
+    init() {
+        this.switcher = document.getElementById('view-switch');
+        if (!this.switcher) return;
+
+        this.switcher.innerHTML = Object.entries(this.views)
+            .map(([key, view]) => `<button type="button" class="filter-btn" role="tab" data-view="${key}" aria-selected="false">${view.label}</button>`)
+            .join('');
+
+        this.switcher.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-view]');
+            if (button) {
+                this.show(button.dataset.view);
+            }
+        });
+
+        // Las vistas propias se repintan con los datos y con la consulta
+        document.addEventListener('dynamicListChanged', () => this.renderCurrent());
+        document.addEventListener('listQueryChanged', () => this.renderCurrent());
+
+        this.show(AppStorage.get(this.storageKey, 'cards'));
+    },
+
+    /**
+     * Muestra una vista y oculta las demás
+     */
+    show(name) {
+        this.current = this.views[name] ? name : 'cards';
+        AppStorage.set(this.storageKey, this.current);
+
+        Object.entries(this.views).forEach(([key, view]) => {
+            document.getElementById(view.containerId)?.classList.toggle('hidden', key !== this.current);
+        });
+
+        this.switcher?.querySelectorAll('[data-view]').forEach(button => {
+            const active = button.dataset.view === this.current;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-selected', active);
+        });
+
+        this.renderCurrent();
+    },
+
+    /**
+     * Repinta la vista activa si tiene render propio
+     */
+    renderCurrent() {
+        this.views[this.current].render?.();
+    }
+};
+
+// ===== AGENDA =====
+const ListAgenda = {
+    containerId: 'agenda-view',
+
+    /**
+     * Pinta los items de la consulta activa agrupados por día
+     */
+    render() {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        if (!container.dataset.ready) {
+            container.dataset.ready = 'true';
+            container.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action="edit"]');
+                if (button) {
+                    ItemEditor.startEdit(button.closest('[data-id]').dataset.id);
+                }
+            });
+        }
+
+        // El estado vacío de la lista ya lo muestra DynamicList
+        if (DynamicList.items.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const items = ListQuery.getResults();
+
+        if (items.length === 0) {
+            container.innerHTML = `
+                <p class="no-results text-neutral-500 dark:text-neutral-400">
+                    Ningún elemento coincide con la búsqueda y los filtros actuales.
+                </p>`;
+            return;
+        }
+
+        container.innerHTML = this.groupByDay(items).map(group => `
+            <section class="agenda-day agenda-${group.state}">
+                <h3 class="agenda-day-title">
+                    ${group.title}
+                    <span class="agenda-count">${group.items.length}</span>
+                </h3>
+                <ul class="agenda-items">
+                    ${group.items.map(item => this.renderItem(item, group.state === 'overdue')).join('')}
+                </ul>
+            </section>
+        `).join('');
+    },
+
+    /**
+     * Agrupa los items por fecha límite; los vencidos van juntos al principio
+     * @returns {Array} Grupos { state, title, items }
+     */
+    groupByDay(items) {
+        const overdue = { state: 'overdue', title: '⚠️ Vencidos', items: [] };
+        const days = new Map();
+
+        items.slice()
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .forEach(item => {
+                const due = DynamicList.getDueInfo(item);
+
+                if (due.state === 'overdue') {
+                    overdue.items.push(item);
+                    return;
+                }
+
+                if (!days.has(item.date)) {
+                    days.set(item.date, {
+                        state: due.days === 0 ? 'today' : 'day',
+                        title: this.getDayTitle(item.date, due.days),
+                        items: []
+                    });
+                }
+                days.get(item.date).items.push(item);
+            });
+
+        return (overdue.items.length > 0 ? [overdue] : []).concat([...days.values()]);
+    },
+
+    /**
+     * Título de un día: "Hoy", "Mañana" o la fecha completa
+     */
+    getDayTitle(date, days) {
+        const dayDate = DynamicList.parseDate(date);
+        const options = { weekday: 'long', day: 'numeric', month: 'long' };
+
+        if (dayDate.getFullYear() !== new Date().getFullYear()) {
+            options.year = 'numeric';
+        }
+
+        const formatted = dayDate.toLocaleDateString('es-ES', options);
+
+        if (days === 0) return `Hoy · ${formatted}`;
+        if (days === 1) return `Mañana · ${formatted}`;
+        return formatted.charAt(0).toUpperCase() + formatted.slice(1);
+    },
+
+    /**
+     * Fila de un item en la agenda
+     * @param {boolean} showDue - Muestra cuánto lleva vencido
+     */
+    renderItem(item, showDue) {
+        const escape = DOMManager.escapeHTML;
+        const category = DynamicList.categories[item.category];
+        const due = DynamicList.getDueInfo(item);
+
+        return `
+            <li class="agenda-item" data-id="${escape(item.id)}" style="border-left-color: ${category.color};">
+                <div class="agenda-item-main">
+                    <span class="agenda-item-title">${escape(item.title)}</span>
+                    <span class="agenda-item-meta">
+                        ${category.label} · ${DynamicList.priorities[item.priority]} · ${item.value}%
+                    </span>
+                </div>
+                ${showDue || due.state === 'done' ? `<span class="due-badge due-${due.state}">${DynamicList.dueIcons[due.state]} ${due.label}</span>` : ''}
+                <button type="button" class="btn btn-outline btn-sm" data-action="edit">✏️ Editar</button>
+            </li>
+        `;
+    }
+};
+
+// ===== TABLERO KANBAN =====
+const ListBoard = {
+    containerId: 'board-columns',
+    storageKey: 'gestionBoardGroup',
+    groupBy: 'category',
+    dragThreshold: 5,
+    drag: null, // arrastre con puntero en curso
+    grabbed: null, // tarjeta cogida con el teclado: { id, origin, target }
+    focusId: null, // tarjeta que recupera el foco tras repintar
+
+    // Bandas de progreso: mismos umbrales que DynamicList.getStatus
+    bands: {
+        low: { label: 'Bajo (<40%)', min: 0, max: 39, color: '#ef4444' },
+        medium: { label: 'Medio (40-69%)', min: 40, max: 69, color: '#f59e0b' },
+        high: { label: 'Alto (≥70%)', min: 70, max: 100, color: '#10b981' }
+    },
+
+    // Formas de agrupar: columnas, columna de cada item y cambio al soltar en otra
+    groupings: {
+        category: {
+            label: 'Categoría',
+            getColumns: () => Object.entries(DynamicList.categories)
+                .map(([key, category]) => ({ key, label: category.label, color: category.color })),
+            getKey: (item) => item.category,
+            getChanges: (item, key) => ({ category: key })
+        },
+        progress: {
+            label: 'Progreso',
+            getColumns: () => Object.entries(ListBoard.bands)
+                .map(([key, band]) => ({ key, label: band.label, color: band.color })),
+            getKey: (item) => DynamicList.getStatus(item.value),
+            getChanges: (item, key) => ({ value: ListBoard.clampToBand(item.value, key) }),
+            // El progreso de un item con sub-tareas se calcula, no se puede mover
+            getLockReason: (item) => item.subtasks.length > 0
+                ? 'Su progreso se calcula con las sub-tareas: márcalas para cambiarlo'
+                : null
+        }
+    },
+
+    /**
+     * Conecta el selector de agrupación y los controles de arrastre
+     */
+    init() {
+        this.container = document.getElementById(this.containerId);
+        this.groupSelect = document.getElementById('board-group');
+        this.liveRegion = document.getElementById('board-live');
+
+        if (!this.container) return;
+
+        const saved = AppStorage.get(this.storageKey, 'category');
+        this.groupBy = this.groupings[saved] ? saved : 'category';
+
+        if (this.groupSelect) {
+            this.groupSelect.innerHTML = Object.entries(this.groupings)
+                .map(([key, grouping]) => `<option value="${key}">${grouping.label}</option>`)
+                .join('');
+            this.groupSelect.value = this.groupBy;
+            this.groupSelect.addEventListener('change', () => {
+                this.groupBy = this.groupSelect.value;
+                AppStorage.set(this.storageKey, this.groupBy);
+                this.render();
+            });
+        }
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="edit"]');
+            if (button) {
+                ItemEditor.startEdit(button.closest('[data-id]').dataset.id);
+            }
+        });
+
+        this.container.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.container.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        document.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        document.addEventListener('pointerup', () => this.handlePointerUp());
+        document.addEventListener('pointercancel', () => this.endDrag());
+    },
+
+    /**
+     * Pinta una columna por grupo con los items de la consulta activa
+     */
+    render() {
+        if (!this.container) return;
+
+        // Un repintado (p. ej. cambios de otra pestaña) suelta la tarjeta cogida
+        this.grabbed = null;
+
+        if (DynamicList.items.length === 0) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const grouping = this.groupings[this.groupBy];
+        const items = ListQuery.getResults();
+
+        this.container.innerHTML = grouping.getColumns().map(column => {
+            const columnItems = items.filter(item => grouping.getKey(item) === column.key);
+
+            return `
+                <section class="board-column" data-column="${column.key}" aria-label="${column.label}">
+                    <h3 class="board-column-title" style="border-top-color: ${column.color};">
+                        ${column.label}
+                        <span class="agenda-count">${columnItems.length}</span>
+                    </h3>
+                    <div class="board-cards">
+                        ${columnItems.map(item => this.renderCard(item)).join('') || '<p class="board-empty">Sin elementos</p>'}
+                    </div>
+                </section>
+            `;
+        }).join('');
+
+        if (this.focusId) {
+            this.container.querySelector(`.board-card[data-id="${CSS.escape(String(this.focusId))}"]`)?.focus();
+            this.focusId = null;
+        }
+    },
+
+    /**
+     * Tarjeta compacta de un item
+     */
+    renderCard(item) {
+        const escape = DOMManager.escapeHTML;
+        const status = DynamicList.getStatus(item.value);
+        const due = DynamicList.getDueInfo(item);
+
+        return `
+            <article class="board-card" tabindex="0" data-id="${escape(item.id)}"
+                aria-roledescription="tarjeta movible" aria-describedby="board-help">
+                <div class="board-card-title">${escape(item.title)}</div>
+                <div class="board-card-meta">
+                    <span class="due-badge due-${due.state}">${DynamicList.dueIcons[due.state]} ${due.label}</span>
+                    <span>
+                        ${item.subtasks.length > 0 ? `☑ ${item.subtasks.filter(subtask => subtask.done).length}/${item.subtasks.length} · ` : ''}${DynamicList.priorities[item.priority]} · ${item.value}%
+                    </span>
+                </div>
+                <div class="progress-bar">
+                    <div class="progress-fill progress-${status}" style="width: ${item.value}%"></div>
+                </div>
+                <button type="button" class="btn btn-outline btn-sm" data-action="edit">✏️ Editar</button>
+            </article>
+        `;
+    },
+
+    /**
+     * Ajusta un valor al rango de una banda (al borde más cercano)
+     */
+    clampToBand(value, bandKey) {
+        const band = this.bands[bandKey];
+        return Math.min(band.max, Math.max(band.min, value));
+    },
+
+    /**
+     * Etiqueta de una columna del agrupamiento activo
+     */
+    getColumnLabel(key) {
+        const column = this.groupings[this.groupBy].getColumns().find(current => current.key === key);
+        return column ? column.label : key;
+    },
+
+    /**
+     * Mueve un item a otra columna actualizando y guardando su campo
+     */
+    moveItem(itemId, columnKey) {
+        const grouping = this.groupings[this.groupBy];
+        const item = DynamicList.getItem(itemId);
+
+        if (!item || grouping.getKey(item) === columnKey) return;
+
+        const lockReason = grouping.getLockReason?.(item);
+        if (lockReason) {
+            App.showNotification(`No se puede mover «${DOMManager.escapeHTML(item.title)}». ${lockReason}`, 'error');
+            this.announce(lockReason);
+            return;
+        }
+
+        const label = this.getColumnLabel(columnKey);
+        const updated = DynamicList.updateItem(
+            item.id,
+            grouping.getChanges(item, columnKey),
+            `mover «${item.title}» a ${label}`
+        );
+
+        // null: el item se borró en otra pestaña y la lista ya se ha sincronizado
+        if (!updated) {
+            App.showNotification('El elemento ya no existe: se eliminó en otra pestaña', 'error');
+            return;
+        }
+
+        const command = CommandHistory.peek();
+        App.showNotification(`«${DOMManager.escapeHTML(item.title)}» movido a ${label}`, 'success', {
+            label: '↶ Deshacer',
+            handler: () => CommandHistory.undo(command)
+        });
+        this.announce(`Tarjeta movida a ${label}`);
+    },
+
+    /**
+     * Marca la columna sobre la que se soltaría la tarjeta
+     */
+    setDropTarget(columnKey) {
+        this.container.querySelectorAll('.board-column').forEach(column => {
+            column.classList.toggle('drop-target', column.dataset.column === columnKey);
+        });
+    },
+
+    /**
+     * Empieza un posible arrastre (se confirma al superar el umbral de movimiento)
+     */
+    handlePointerDown(e) {
+        const card = e.target.closest('.board-card');
+        if (!card || e.button !== 0 || e.target.closest('button')) return;
+
+        this.drag = {
+            id: card.dataset.id,
+            card: card,
+            startX: e.clientX,
+            startY: e.clientY,
+            ghost: null,
+            target: null
+        };
+    },
+
+    /**
+     * Mueve la copia de la tarjeta y detecta la columna bajo el puntero
+     */
+    handlePointerMove(e) {
+        const drag = this.drag;
+        if (!drag) return;
+
+        if (!drag.ghost) {
+            if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < this.dragThreshold) return;
+
+            const rect = drag.card.getBoundingClientRect();
+            drag.offsetX = drag.startX - rect.left;
+            drag.offsetY = drag.startY - rect.top;
+            drag.ghost = drag.card.cloneNode(true);
+            drag.ghost.classList.add('board-ghost');
+            drag.ghost.style.width = `${rect.width}px`;
+            document.body.appendChild(drag.ghost);
+            drag.card.classList.add('dragging');
+        }
+
+        drag.ghost.style.transform = `translate(${e.clientX - drag.offsetX}px, ${e.clientY - drag.offsetY}px)`;
+
+        // La copia no recibe eventos de puntero, así que no tapa la columna
+        const column = document.elementFromPoint(e.clientX, e.clientY)?.closest('.board-column');
+        drag.target = column ? column.dataset.column : null;
+        this.setDropTarget(drag.target);
+    },
+
+    /**
+     * Suelta la tarjeta en la columna marcada
+     */
+    handlePointerUp() {
+        const drag = this.drag;
+        if (!drag) return;
+
+        this.endDrag();
+
+        if (drag.ghost && drag.target) {
+            this.moveItem(drag.id, drag.target);
+        }
+    },
+
+    /**
+     * Limpia el estado del arrastre con puntero
+     */
+    endDrag() {
+        if (!this.drag) return;
+
+        this.drag.ghost?.remove();
+        this.drag.card.classList.remove('dragging');
+        this.drag = null;
+        this.setDropTarget(null);
+    },
+
+    /**
+     * Arrastre con teclado: Espacio/Enter coge y suelta, flechas eligen columna, Escape cancela
+     */
+    handleKeydown(e) {
+        const card = e.target.closest('.board-card');
+        if (!card || e.target !== card) return;
+
+        const columns = this.groupings[this.groupBy].getColumns().map(column => column.key);
+        const isAction = e.key === ' ' || e.key === 'Enter';
+
+        if (!this.grabbed) {
+            if (!isAction) return;
+            e.preventDefault();
+
+            const origin = card.closest('.board-column').dataset.column;
+            this.grabbed = { id: card.dataset.id, origin: origin, target: origin };
+            card.classList.add('grabbed');
+            this.setDropTarget(origin);
+            this.announce(`Tarjeta cogida en ${this.getColumnLabel(origin)}. Usa las flechas para elegir columna y Espacio para soltarla.`);
+            return;
+        }
+
+        const index = columns.indexOf(this.grabbed.target);
+
+        if (e.key === 'ArrowLeft' || e.key === 'ArrowUp' || e.key === 'ArrowRight' || e.key === 'ArrowDown') {
+            e.preventDefault();
+            const step = e.key === 'ArrowLeft' || e.key === 'ArrowUp' ? -1 : 1;
+            this.grabbed.target = columns[Math.min(columns.length - 1, Math.max(0, index + step))];
+            this.setDropTarget(this.grabbed.target);
+            this.announce(this.getColumnLabel(this.grabbed.target));
+        } else if (isAction) {
+            e.preventDefault();
+            const { id, origin, target } = this.grabbed;
+            this.cancelGrab(card);
+
+            if (target === origin) {
+                this.announce('La tarjeta se queda en la misma columna');
+                return;
+            }
+
+            this.focusId = id;
+            this.moveItem(id, target);
+        } else if (e.key === 'Escape') {
+            // Que no cancele también la edición del formulario
+            e.preventDefault();
+            e.stopPropagation();
+            this.cancelGrab(card);
+            this.announce('Movimiento cancelado');
+        }
+    },
+
+    /**
+     * Suelta la tarjeta cogida con el teclado sin moverla
+     */
+    cancelGrab(card) {
+        this.grabbed = null;
+        card.classList.remove('grabbed');
+        this.setDropTarget(null);
+    },
+
+    /**
+     * Anuncia un mensaje a los lectores de pantalla
+     */
+    announce(message) {
+        if (this.liveRegion) {
+            this.liveRegion.textContent = message;
+        }
+    }
+};
+
+// ===== RECORDATORIOS DE FECHAS LÍMITE =====
+const DueReminders = {
+    storageKey: 'dueReminders', // { id del item: día del último aviso }
+    browserKey: 'dueRemindersBrowser', // true si el usuario activó las notificaciones del navegador
+    timer: null,
+
+    /**
+     * Avisa de los items que vencen hoy y programa la comprobación del día siguiente
+     */
+    init() {
+        this.button = document.getElementById('reminders-btn');
+        this.button?.addEventListener('click', () => this.toggleBrowserNotifications());
+        this.updateButton();
+
+        document.addEventListener('dynamicListChanged', (e) => this.handleChange(e.detail));
+
+        // Al volver a la pestaña (el equipo pudo suspenderse a medianoche)
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.check();
+        });
+
+        this.check();
+        this.scheduleNextDay();
+    },
+
+    /**
+     * Fecha local de hoy en formato YYYY-MM-DD
+     */
+    getToday() {
+        return DynamicList.toDateKey(new Date());
+    },
+
+    /**
+     * Lee los avisos ya mostrados
+     */
+    loadShown() {
+        return AppStorage.get(this.storageKey, {});
+    },
+
+    /**
+     * Guarda los avisos mostrados hoy (los de otros días ya no sirven)
+     */
+    saveShown(shown) {
+        const today = this.getToday();
+        const current = {};
+
+        Object.keys(shown).forEach(id => {
+            if (shown[id] === today) current[id] = today;
+        });
+
+        AppStorage.set(this.storageKey, current);
+    },
+
+    /**
+     * Avisa una sola vez al día de cada item que vence hoy
+     */
+    check() {
+        const today = this.getToday();
+        const shown = this.loadShown();
+        const dueItems = DynamicList.items.filter(item =>
+            DynamicList.getDueInfo(item).state === 'today' && shown[item.id] !== today
+        );
+
+        if (dueItems.length === 0) return;
+
+        dueItems.forEach(item => { shown[item.id] = today; });
+        this.saveShown(shown);
+        this.notify(dueItems);
+    },
+
+    /**
+     * Un item que el usuario acaba de crear o fechar para hoy no necesita aviso
+     */
+    handleChange({ action, item }) {
+        if ((action !== 'add' && action !== 'update') || !item) return;
+        if (DynamicList.getDueInfo(item).state !== 'today') return;
+
+        const shown = this.loadShown();
+        shown[item.id] = this.getToday();
+        this.saveShown(shown);
+    },
+
+    /**
+     * Muestra el aviso en la página y, si está activado, en el navegador
+     */
+    notify(items) {
+        const message = items.length === 1
+            ? `⏰ Vence hoy: «${DOMManager.escapeHTML(items[0].title)}»`
+            : `⏰ ${items.length} elementos vencen hoy`;
+
+        App.showNotification(message, 'info', {
+            label: '📆 Ver agenda',
+            handler: () => ListViews.show('agenda')
+        });
+
+        if (this.isBrowserEnabled()) {
+            try {
+                new Notification('Fechas límite de hoy', {
+                    body: items.map(item => item.title).join('\n'),
+                    tag: 'due-reminders'
+                });
+            } catch (error) {
+                // Chrome en Android solo admite notificaciones desde un service worker
+                AppStorage.set(this.browserKey, false);
+                this.updateButton();
+                App.showNotification('🔕 Este navegador no permite notificaciones del sistema: los avisos se muestran solo en la página', 'error');
+            }
+        }
+    },
+
+    /**
+     * Al cambiar de día se actualizan los estados y se avisa de los nuevos vencimientos
+     */
+    scheduleNextDay() {
+        const now = new Date();
+        const nextDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            DynamicList.render();
+            ListViews.renderCurrent();
+            this.check();
+            this.scheduleNextDay();
+        }, nextDay - now + 1000);
+    },
+
+    /**
+     * Indica si el navegador admite la API de notificaciones
+     */
+    isSupported() {
+        return 'Notification' in window;
+    },
+
+    /**
+     * Indica si las notificaciones del navegador están activadas y permitidas
+     */
+    isBrowserEnabled() {
+        return this.isSupported() &&
+            Notification.permission === 'granted' &&
+            AppStorage.get(this.browserKey, false);
+    },
+
+    /**
+     * Activa (pidiendo permiso si hace falta) o desactiva las notificaciones del navegador
+     */
+    async toggleBrowserNotifications() {
+        if (!this.isSupported()) return;
+
+        if (this.isBrowserEnabled()) {
+            AppStorage.set(this.browserKey, false);
+            App.showNotification('🔕 Notificaciones del navegador desactivadas', 'info');
+            this.updateButton();
+            return;
+        }
+
+        const permission = Notification.permission === 'granted'
+            ? 'granted'
+            : await Notification.requestPermission();
+
+        if (permission === 'granted') {
+            AppStorage.set(this.browserKey, true);
+            App.showNotification('🔔 Notificaciones del navegador activadas', 'success');
+        } else {
+            App.showNotification('El navegador no ha dado permiso para notificar', 'error');
+        }
+
+        this.updateButton();
+    },
+
+    /**
+     * Refleja en el botón si las notificaciones del navegador están activas
+     */
+    updateButton() {
+        if (!this.button) return;
+
+        if (!this.isSupported()) {
+            this.button.disabled = true;
+            this.button.title = 'Este navegador no admite notificaciones';
+            return;
+        }
+
+        const enabled = this.isBrowserEnabled();
+        this.button.textContent = enabled ? '🔔 Avisos del navegador' : '🔕 Avisos del navegador';
+        this.button.setAttribute('aria-pressed', enabled);
+        this.button.title = enabled
+            ? 'Desactivar las notificaciones del navegador'
+            : 'Recibir también las fechas límite como notificaciones del navegador';
+    }
+};
+
+// ===== GRÁFICAS DE ESTADÍSTICAS =====
+const ListDashboard = {
+    containerId: 'stats-charts',
+    histogramBins: 10,
+    maxLabels: 8,
+    // Barras como máximo en la gráfica de creación; si no caben se agrupa por años
+    maxCreatedBars: 36,
+    yearSteps: [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000],
+
+    // Colores fijos de prioridades (los de las insignias de estado)
+    priorityColors: {
+        alta: '#ef4444',
+        media: '#f59e0b',
+        baja: '#10b981'
+    },
+
+    // Filtro que aplica cada gráfica al pulsar una barra (otra pulsación lo quita)
+    selectors: {
+        category: (key, active) => ({ categories: active ? [] : [key] }),
+        priority: (key, active) => ({ priorities: active ? [] : [key] }),
+        value: (key, active) => {
+            const [min, max] = key.split('-').map(Number);
+            return active ? { valueMin: null, valueMax: null } : { valueMin: min, valueMax: max };
+        },
+        created: (key, active) => {
+            const [from, to] = key.split('_');
+            return active ? { createdFrom: '', createdTo: '' } : { createdFrom: from, createdTo: to };
+        }
+    },
+
+    /**
+     * Pinta las gráficas y las actualiza con cada cambio de datos o de filtros
+     */
+    init() {
+        this.container = document.getElementById(this.containerId);
+        if (!this.container) return;
+
+        this.container.addEventListener('click', (e) => this.handleSelect(e));
+        this.container.addEventListener('keydown', (e) => {
+            if ((e.key === 'Enter' || e.key === ' ') && e.target.closest('[data-chart]')) {
+                e.preventDefault();
+                this.handleSelect(e);
+            }
+        });
+
+        document.addEventListener('dynamicListChanged', () => this.render());
+        document.addEventListener('listQueryChanged', () => this.render());
+
+        this.render();
+    },
+
+    /**
+     * Aplica el filtro de la barra pulsada
+     */
+    handleSelect(e) {
+        const bar = e.target.closest('[data-chart]');
+        if (!bar) return;
+
+        const { chart, key } = bar.dataset;
+        ListQuery.setState(this.selectors[chart](key, bar.classList.contains('active')));
+    },
+
+    /**
+     * Pinta las cuatro gráficas a partir de los datos guardados
+     */
+    render() {
+        if (!this.container) return;
+
+        if (DynamicList.items.length === 0) {
+            this.container.innerHTML = `
+                <p class="text-sm text-neutral-500 dark:text-neutral-400">
+                    Las gráficas aparecerán al añadir elementos.
+                </p>`;
+            return;
+        }
+
+        const charts = [
+            this.getCategoryChart(),
+            this.getPriorityChart(),
+            this.getValueChart(),
+            this.getCreatedChart()
+        ];
+
+        this.container.innerHTML = charts.map(chart => `
+            <figure class="chart">
+                <figcaption class="chart-title">${chart.title}</figcaption>
+                ${this.renderBars(chart)}
+            </figure>
+        `).join('');
+    },
+
+    /**
+     * Distribución por categoría
+     */
+    getCategoryChart() {
+        const stats = DynamicList.getStats();
+        const active = ListQuery.state.categories;
+
+        return {
+            id: 'category',
+            title: 'Por categoría',
+            bars: Object.entries(DynamicList.categories).map(([key, category]) => ({
+                key: key,
+                label: category.label,
+                count: stats.byCategory[key],
+                color: category.color,
+                active: active.includes(key)
+            }))
+        };
+    },
+
+    /**
+     * Distribución por prioridad
+     */
+    getPriorityChart() {
+        const stats = DynamicList.getStats();
+        const active = ListQuery.state.priorities;
+
+        return {
+            id: 'priority',
+            title: 'Por prioridad',
+            bars: Object.entries(DynamicList.priorities).map(([key, label]) => ({
+                key: key,
+                label: label,
+                count: stats.byPriority[key],
+                color: this.priorityColors[key],
+                active: active.includes(key)
+            }))
+        };
+    },
+
+    /**
+     * Histograma de valores en tramos de 10 (el último incluye el 100)
+     */
+    getValueChart() {
+        const size = 100 / this.histogramBins;
+        const { valueMin, valueMax } = ListQuery.state;
+        const colors = { low: '#ef4444', medium: '#f59e0b', high: '#10b981' };
+        const bars = [];
+
+        for (let i = 0; i < this.histogramBins; i++) {
+            const min = i * size;
+            const max = i === this.histogramBins - 1 ? 100 : min + size - 1;
+
+            bars.push({
+                key: `${min}-${max}`,
+                label: `${min}`,
+                title: `Valor ${min}-${max}%`,
+                count: DynamicList.items.filter(item => item.value >= min && item.value <= max).length,
+                color: colors[DynamicList.getStatus(min)],
+                active: valueMin === min && valueMax === max
+            });
+        }
+
+        return { id: 'value', title: 'Histograma de valores (%)', bars: bars };
+    },
+
+    /**
+     * Items creados a lo largo del tiempo, por día, semana o mes según el periodo
+     */
+    getCreatedChart() {
+        const dayMs = 1000 * 60 * 60 * 24;
+        const createdDates = DynamicList.items.map(item => DynamicList.toDateKey(new Date(item.createdAt))).sort();
+        const today = DynamicList.toDateKey(new Date());
+        const first = DynamicList.parseDate(createdDates[0]);
+        const last = DynamicList.parseDate(createdDates[createdDates.length - 1] > today ? createdDates[createdDates.length - 1] : today);
+        const spanDays = Math.round((last - first) / dayMs) + 1;
+        const spanMonths = (last.getFullYear() - first.getFullYear()) * 12 + last.getMonth() - first.getMonth() + 1;
+        const spanYears = last.getFullYear() - first.getFullYear() + 1;
+        const unit = spanDays <= 31 ? 'day' : spanDays <= 182 ? 'week' : spanMonths <= this.maxCreatedBars ? 'month' : 'year';
+        // Años por barra: una fecha importada muy lejana no debe generar miles de barras
+        const yearStep = this.yearSteps.find(step => Math.ceil(spanYears / step) < this.maxCreatedBars) || this.yearSteps[this.yearSteps.length - 1];
+        const { createdFrom, createdTo } = ListQuery.state;
+        const bars = [];
+
+        // Primer tramo alineado al lunes, al día 1 del mes o al 1 de enero
+        let cursor = new Date(first);
+        if (unit === 'week') cursor.setDate(cursor.getDate() - ((cursor.getDay() + 6) % 7));
+        if (unit === 'month') cursor.setDate(1);
+        if (unit === 'year') cursor.setFullYear(Math.floor(cursor.getFullYear() / yearStep) * yearStep, 0, 1);
+
+        // Las fechas están ordenadas: cada barra sigue contando donde acabó la anterior
+        let index = 0;
+
+        while (cursor <= last) {
+            const next = new Date(cursor);
+            if (unit === 'day') next.setDate(next.getDate() + 1);
+            if (unit === 'week') next.setDate(next.getDate() + 7);
+            if (unit === 'month') next.setMonth(next.getMonth() + 1);
+            if (unit === 'year') next.setFullYear(next.getFullYear() + yearStep);
+
+            const end = new Date(next);
+            end.setDate(end.getDate() - 1);
+
+            const from = DynamicList.toDateKey(cursor);
+            const to = DynamicList.toDateKey(end);
+
+            let count = 0;
+            while (index < createdDates.length && createdDates[index] <= to) {
+                count++;
+                index++;
+            }
+
+            bars.push({
+                key: `${from}_${to}`,
+                label: this.getPeriodLabel(cursor, unit, spanMonths > 12),
+                title: unit === 'year' ? this.getYearsTitle(cursor, end) : this.getPeriodTitle(cursor, unit),
+                count: count,
+                color: 'var(--color-primary-600)',
+                active: createdFrom === from && createdTo === to
+            });
+
+            cursor = next;
+        }
+
+        const units = { day: 'día', week: 'semana', month: 'mes', year: yearStep === 1 ? 'año' : `${yearStep} años` };
+        return { id: 'created', title: `Creados por ${units[unit]}`, bars: bars };
+    },
+
+    /**
+     * Etiqueta corta de una barra; los meses llevan el año si la gráfica abarca más de uno
+     */
+    getPeriodLabel(date, unit, showYear) {
+        if (unit === 'year') return String(date.getFullYear());
+
+        if (unit === 'month') {
+            return date.toLocaleDateString('es-ES', showYear ? { month: 'short', year: '2-digit' } : { month: 'short' });
+        }
+
+        return `${date.getDate()}/${date.getMonth() + 1}`;
+    },
+
+    /**
+     * Ayuda de una barra anual o de varios años
+     */
+    getYearsTitle(start, end) {
+        return start.getFullYear() === end.getFullYear()
+            ? `Año ${start.getFullYear()}`
+            : `De ${start.getFullYear()} a ${end.getFullYear()}`;
+    },
+
+    /**
+     * Descripción de un tramo de tiempo para la ayuda de la barra
+     */
+    getPeriodTitle(date, unit) {
+        if (unit === 'month') {
+            return date.toLocaleDateString('es-ES', { month: 'long', year: 'numeric' });
+        }
+
+        const formatted = date.toLocaleDateString('es-ES', { day: 'numeric', month: 'long', year: 'numeric' });
+        return unit === 'week' ? `Semana del ${formatted}` : formatted;
+    },
+
+    /**
+     * Gráfica de barras verticales en SVG; cada barra es un botón que filtra la lista
+     */
+    renderBars(chart) {
+        const width = 300;
+        const height = 150;
+        const top = 16;
+        const bottom = 22;
+        const max = Math.max(1, ...chart.bars.map(bar => bar.count));
+        const slot = width / chart.bars.length;
+        const barWidth = Math.max(3, slot * 0.7);
+        const labelStep = Math.ceil(chart.bars.length / this.maxLabels);
+
+        const bars = chart.bars.map((bar, index) => {
+            const barHeight = (bar.count / max) * (height - top - bottom);
+            const x = index * slot;
+            const y = height - bottom - barHeight;
+            const title = `${bar.title || bar.label}: ${bar.count}`;
+
+            return `
+                <g class="chart-bar${bar.active ? ' active' : ''}" data-chart="${chart.id}" data-key="${bar.key}"
+                    tabindex="0" role="button" aria-pressed="${bar.active}" aria-label="${title}">
+                    <title>${title}</title>
+                    <rect class="chart-hit" x="${x}" y="0" width="${slot}" height="${height}"></rect>
+                    <rect x="${x + (slot - barWidth) / 2}" y="${y}" width="${barWidth}" height="${barHeight}"
+                        rx="3" style="fill: ${bar.color};"></rect>
+                    ${bar.count > 0 ? `<text class="chart-value" x="${x + slot / 2}" y="${y - 4}">${bar.count}</text>` : ''}
+                    ${index % labelStep === 0 ? `<text class="chart-label" x="${x + slot / 2}" y="${height - 6}">${bar.label}</text>` : ''}
+                </g>
+            `;
+        }).join('');
+
+        return `
+            <svg class="chart-svg" viewBox="0 0 ${width} ${height}" role="group" aria-label="${chart.title}">
+                <line class="chart-axis" x1="0" y1="${height - bottom}" x2="${width}" y2="${height - bottom}"></line>
+                ${bars}
+            </svg>
+        `;
+    }
+};
+
+// Exponer al scope global para acceso desde HTML
+window.ListTransfer = ListTransfer;
+window.ListQuery = ListQuery;
+window.ListViews = ListViews;
+window.ListAgenda = ListAgenda;
+window.ListBoard = ListBoard;
+window.ListDashboard = ListDashboard;
+window.DueReminders = DueReminders;
@@ -0,0 +1,2009 @@
+/**
+ * Herramientas Rápidas de la página de Utilidades
+ * - Registro de herramientas: cada tarjeta monta su módulo en #tools-area
+ * - Estado de cada herramienta guardado en AppStorage
+ * - Enlace directo a una herramienta desde la URL (#herramienta=<id>)
+ * - Analizador de texto: recuentos, tiempos de lectura, palabras frecuentes,
+ *   legibilidad (Fernández-Huerta / Flesch) y transformaciones de mayúsculas
+ * - Generador de paletas: armonías a partir de COLOR_PALETTE, formatos HEX/RGB/HSL/OKLCH,
+ *   contraste WCAG de cada pareja, bloqueo de colores y exportación a variables CSS
+ * - Generador de contraseñas: crypto.getRandomValues sin sesgo, tipos de caracteres garantizados,
+ *   frases de contraseña con lista de palabras local, medidor de entropía y portapapeles que se vacía solo
+ * - Temporizador, cronómetro con vueltas (exportables a CSV) y ciclo Pomodoro: basados en marcas
+ *   de tiempo, siguen en marcha tras recargar y avisan con un pitido sintetizado (Web Audio)
+ */
+
+// ===== REGISTRO DE HERRAMIENTAS =====
+const ToolRegistry = {
+    storageKey: 'quickTools',
+    hashKey: 'herramienta',
+    tools: {},
+    active: null,
+    data: { active: null, states: {} },
+
+    /**
+     * Registra una herramienta
+     * @param {string} id - Identificador usado en la URL y en data-tool de la tarjeta
+     * @param {Object} tool - { title, mount(container, context), unmount(), restore?(context) }
+     *   context: { state, saveState(state) }
+     *   restore se llama al cargar la página aunque la herramienta no esté abierta
+     *   (p. ej. temporizadores que siguen en marcha tras recargar)
+     */
+    register(id, tool) {
+        this.tools[id] = tool;
+
+        if (this.area && typeof tool.restore === 'function') {
+            tool.restore(this.getContext(id));
+        }
+
+        // Si ya está inicializado y la herramienta estaba abierta, se monta ahora
+        if (this.area && this.active === id) {
+            this.open(id, { updateUrl: false, focus: false });
+        }
+    },
+
+    /**
+     * Conecta las tarjetas con el área de herramientas y abre la del enlace o la última usada
+     */
+    init() {
+        this.area = document.getElementById('tools-area');
+        this.cards = Array.from(document.querySelectorAll('.tool-card[data-tool]'));
+        if (!this.area || this.cards.length === 0) return;
+
+        this.data = this.load();
+        this.setupCards();
+
+        Object.entries(this.tools).forEach(([id, tool]) => {
+            if (typeof tool.restore === 'function') tool.restore(this.getContext(id));
+        });
+
+        window.addEventListener('hashchange', () => {
+            const id = this.getHashTool();
+            if (id && id !== this.active) this.open(id, { updateUrl: false });
+        });
+
+        const initial = this.getHashTool() || this.data.active;
+        if (initial && this.getCard(initial)) {
+            this.open(initial, { updateUrl: false, focus: false });
+        }
+    },
+
+    load() {
+        const saved = AppStorage.get(this.storageKey, {});
+        return {
+            active: typeof saved.active === 'string' ? saved.active : null,
+            states: saved.states && typeof saved.states === 'object' ? saved.states : {}
+        };
+    },
+
+    save() {
+        AppStorage.set(this.storageKey, this.data);
+    },
+
+    /**
+     * Las tarjetas funcionan como pestañas del área de herramientas
+     */
+    setupCards() {
+        const list = this.cards[0].parentElement;
+        list.setAttribute('role', 'tablist');
+        list.setAttribute('aria-label', 'Herramientas rápidas');
+
+        this.area.setAttribute('role', 'tabpanel');
+        this.area.setAttribute('tabindex', '-1');
+
+        this.cards.forEach(card => {
+            card.setAttribute('role', 'tab');
+            card.setAttribute('tabindex', '0');
+            card.setAttribute('aria-selected', 'false');
+            card.setAttribute('aria-controls', 'tools-area');
+
+            card.addEventListener('click', () => this.toggle(card.dataset.tool));
+
+            card.addEventListener('keydown', (e) => {
+                const index = this.cards.indexOf(card);
+
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.toggle(card.dataset.tool);
+                } else if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
+                    e.preventDefault();
+                    this.cards[(index + 1) % this.cards.length].focus();
+                } else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    this.cards[(index - 1 + this.cards.length) % this.cards.length].focus();
+                }
+            });
+        });
+    },
+
+    getCard(id) {
+        return this.cards.find(card => card.dataset.tool === id) || null;
+    },
+
+    getHashTool() {
+        const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+        const id = params.get(this.hashKey);
+        return id && this.getCard(id) ? id : null;
+    },
+
+    /**
+     * Escribe (o quita) la herramienta activa en el hash sin perder otros parámetros
+     */
+    writeHash(id) {
+        const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+
+        if (id) {
+            params.set(this.hashKey, id);
+        } else {
+            params.delete(this.hashKey);
+        }
+
+        const hash = params.toString();
+        history.replaceState(null, '', window.location.pathname + window.location.search + (hash ? `#${hash}` : ''));
+    },
+
+    toggle(id) {
+        if (this.active === id) {
+            this.close();
+        } else {
+            this.open(id);
+        }
+    },
+
+    /**
+     * Monta una herramienta en el área, desmontando la anterior
+     */
+    open(id, { updateUrl = true, focus = true } = {}) {
+        const card = this.getCard(id);
+        if (!card) return;
+
+        this.unmountActive();
+
+        const tool = this.tools[id];
+        const title = tool?.title || card.querySelector('.tool-title')?.textContent.trim() || id;
+
+        this.area.innerHTML = `
+            <div class="tool-panel">
+                <div class="tool-panel-header">
+                    <h3 class="tool-title" id="tool-panel-title">${DOMManager.escapeHTML(title)}</h3>
+                    <button type="button" class="tool-panel-close" aria-label="Cerrar herramienta">✕</button>
+                </div>
+                <div class="tool-panel-body"></div>
+            </div>
+        `;
+        this.area.setAttribute('aria-labelledby', 'tool-panel-title');
+        this.area.querySelector('.tool-panel-close').addEventListener('click', () => this.close());
+
+        const body = this.area.querySelector('.tool-panel-body');
+
+        if (tool) {
+            tool.mount(body, this.getContext(id));
+        } else {
+            body.innerHTML = '<p class="tool-description">Esta herramienta todavía no está disponible.</p>';
+        }
+
+        this.active = id;
+        this.data.active = id;
+        this.save();
+        this.updateCards();
+
+        if (updateUrl) this.writeHash(id);
+        if (focus) this.area.focus();
+    },
+
+    /**
+     * Cierra la herramienta activa y vacía el área
+     */
+    close() {
+        const card = this.getCard(this.active);
+
+        this.unmountActive();
+        this.area.innerHTML = '';
+        this.area.removeAttribute('aria-labelledby');
+
+        this.active = null;
+        this.data.active = null;
+        this.save();
+        this.updateCards();
+        this.writeHash(null);
+
+        card?.focus();
+    },
+
+    unmountActive() {
+        const tool = this.tools[this.active];
+        if (tool && typeof tool.unmount === 'function') {
+            tool.unmount();
+        }
+    },
+
+    getContext(id) {
+        return {
+            state: this.data.states[id] || {},
+            saveState: (state) => this.saveState(id, state)
+        };
+    },
+
+    /**
+     * Guarda el estado de una herramienta (se le devuelve al volver a montarla)
+     */
+    saveState(id, state) {
+        this.data.states[id] = state;
+        this.save();
+    },
+
+    updateCards() {
+        this.cards.forEach(card => {
+            const active = card.dataset.tool === this.active;
+            card.classList.toggle('active', active);
+            card.setAttribute('aria-selected', String(active));
+        });
+    }
+};
+
+// ===== ANALIZADOR DE TEXTO =====
+const TextAnalyzerTool = {
+    title: 'Analizador de Texto',
+    // Palabras por minuto para los tiempos estimados
+    readingSpeed: 200,
+    speakingSpeed: 130,
+    topWords: 10,
+    wordPattern: /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu,
+
+    stopwords: {
+        es: new Set(('a al algo algunas algunos ante antes como con contra cual cuando de del desde donde durante e el ella ' +
+            'ellas ellos en entre era eran es esa esas ese eso esos esta estaba estas este esto estos está están fue fueron ' +
+            'ha había han hasta hay la las le les lo los me mi mis mucho muy más nada ni no nos nosotros o os otra otras otro ' +
+            'otros para pero poco por porque que quien quienes qué se sea ser si sin sobre son su sus también te tiene tienen ' +
+            'todo todos tu tus un una uno unos usted y ya yo él').split(' ')),
+        en: new Set(('a about above after again all am an and any are as at be because been before being below between ' +
+            'both but by can could did do does doing down during each few for from further had has have having he her here ' +
+            'hers him his how i if in into is it its just me more most my no nor not of off on once only or other our ours ' +
+            'out over own same she should so some such than that the their theirs them then there these they this those ' +
+            'through to too under until up very was we were what when where which while who whom why will with would you ' +
+            'your yours').split(' '))
+    },
+
+    languages: {
+        auto: 'Detectar',
+        es: 'Español',
+        en: 'Inglés'
+    },
+
+    transforms: {
+        upper: { label: 'MAYÚSCULAS', fn: (text) => text.toLocaleUpperCase('es') },
+        lower: { label: 'minúsculas', fn: (text) => text.toLocaleLowerCase('es') },
+        title: { label: 'Tipo Título', fn: (text) => TextAnalyzerTool.toTitleCase(text) },
+        slug: { label: 'slug-url', fn: (text) => TextAnalyzerTool.toSlug(text) }
+    },
+
+    /**
+     * Monta el analizador con el texto y el idioma guardados
+     */
+    mount(container, context) {
+        this.context = context;
+        const state = context.state;
+
+        container.innerHTML = `
+            <label class="sr-only" for="text-analyzer-input">Texto a analizar</label>
+            <textarea id="text-analyzer-input" class="tool-textarea" rows="6"
+                placeholder="Escribe o pega un texto para analizarlo..."></textarea>
+            <div class="tool-actions">
+                ${Object.entries(this.transforms).map(([key, transform]) =>
+                    `<button type="button" class="tool-btn" data-transform="${key}">${transform.label}</button>`).join('')}
+                <label class="tool-inline-field">
+                    Idioma
+                    <select id="text-analyzer-language">
+                        ${Object.entries(this.languages).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+            <dl id="text-analyzer-stats" class="tool-stats"></dl>
+            <p id="text-analyzer-readability" class="tool-note"></p>
+            <h4 class="tool-section-title">Palabras más frecuentes</h4>
+            <label class="tool-inline-field">
+                <input type="checkbox" id="text-analyzer-stopwords">
+                Ignorar palabras vacías (artículos, preposiciones...)
+            </label>
+            <ol id="text-analyzer-words" class="tool-word-list"></ol>
+        `;
+
+        this.input = container.querySelector('#text-analyzer-input');
+        this.languageSelect = container.querySelector('#text-analyzer-language');
+        this.stopwordsInput = container.querySelector('#text-analyzer-stopwords');
+        this.statsList = container.querySelector('#text-analyzer-stats');
+        this.readability = container.querySelector('#text-analyzer-readability');
+        this.wordList = container.querySelector('#text-analyzer-words');
+
+        this.input.value = typeof state.text === 'string' ? state.text : '';
+        this.languageSelect.value = this.languages[state.language] ? state.language : 'auto';
+        this.stopwordsInput.checked = state.filterStopwords !== false;
+
+        this.input.addEventListener('input', () => this.update());
+        this.languageSelect.addEventListener('change', () => this.update());
+        this.stopwordsInput.addEventListener('change', () => this.update());
+
+        container.querySelector('.tool-actions').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-transform]');
+            if (button) this.applyTransform(button.dataset.transform);
+        });
+
+        this.update({ save: false });
+    },
+
+    /**
+     * Recalcula y pinta el análisis; guarda el estado de la herramienta
+     */
+    update({ save = true } = {}) {
+        const text = this.input.value;
+        const analysis = this.analyze(text, {
+            language: this.languageSelect.value,
+            filterStopwords: this.stopwordsInput.checked
+        });
+
+        this.render(analysis);
+
+        if (save) {
+            this.context.saveState({
+                text,
+                language: this.languageSelect.value,
+                filterStopwords: this.stopwordsInput.checked
+            });
+        }
+    },
+
+    /**
+     * Analiza un texto
+     * @param {string} text
+     * @param {Object} options - { language: 'auto' | 'es' | 'en', filterStopwords }
+     */
+    analyze(text, options = {}) {
+        const words = this.getWords(text);
+        const language = options.language && options.language !== 'auto'
+            ? options.language
+            : this.detectLanguage(words);
+
+        const sentences = text.split(/[.!?…]+(?=\s|$)/).filter(part => this.getWords(part).length > 0).length;
+        const paragraphs = text.split(/\n\s*\n/).filter(part => part.trim()).length;
+        const syllables = words.reduce((total, word) => total + this.countSyllables(word, language), 0);
+
+        return {
+            language,
+            characters: this.countCharacters(text),
+            charactersNoSpaces: this.countCharacters(text.replace(/\s/g, '')),
+            words: words.length,
+            sentences,
+            paragraphs,
+            syllables,
+            readingSeconds: Math.ceil(words.length / this.readingSpeed * 60),
+            speakingSeconds: Math.ceil(words.length / this.speakingSpeed * 60),
+            readability: this.getReadability(words.length, sentences, syllables, language),
+            frequencies: this.getFrequencies(words, options.filterStopwords ? this.stopwords[language] : null)
+        };
+    },
+
+    getWords(text) {
+        return text.match(this.wordPattern) || [];
+    },
+
+    /**
+     * Cuenta caracteres visibles (grafemas), de modo que un emoji cuenta como uno
+     */
+    countCharacters(text) {
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            return [...new Intl.Segmenter('es', { granularity: 'grapheme' }).segment(text)].length;
+        }
+        return [...text].length;
+    },
+
+    /**
+     * Elige el idioma con más palabras vacías en el texto (español por defecto)
+     */
+    detectLanguage(words) {
+        let es = 0;
+        let en = 0;
+
+        words.forEach(word => {
+            const lower = word.toLowerCase();
+            if (this.stopwords.es.has(lower)) es++;
+            if (this.stopwords.en.has(lower)) en++;
+        });
+
+        return en > es ? 'en' : 'es';
+    },
+
+    /**
+     * Sílabas aproximadas. En español, dos vocales fuertes (o una tónica débil)
+     * seguidas forman hiato; en inglés se cuentan grupos vocálicos.
+     */
+    countSyllables(word, language) {
+        const lower = word.toLowerCase();
+
+        if (language === 'en') {
+            const trimmed = lower.replace(/(?:[^laeiouy]es|[^laeiouy]e|ed)$/, '').replace(/^y/, '');
+            const groups = trimmed.match(/[aeiouy]+/g);
+            return Math.max(1, groups ? groups.length : 0);
+        }
+
+        const strong = 'aeoáéíóú';
+        let count = 0;
+        let previous = null;
+
+        for (const char of lower) {
+            const isVowel = 'aeiouáéíóúü'.includes(char);
+
+            if (!isVowel) {
+                previous = null;
+                continue;
+            }
+
+            if (previous === null || (strong.includes(previous) && strong.includes(char))) {
+                count++;
+            }
+            previous = char;
+        }
+
+        return Math.max(1, count);
+    },
+
+    /**
+     * Fernández-Huerta para español y Flesch Reading Ease para inglés (0-100).
+     * Las dos penalizan las frases largas (palabras por frase)
+     */
+    getReadability(words, sentences, syllables, language) {
+        if (words === 0 || sentences === 0) return null;
+
+        const score = language === 'en'
+            ? 206.835 - 1.015 * (words / sentences) - 84.6 * (syllables / words)
+            : 206.84 - 0.60 * (syllables / words * 100) - 1.02 * (words / sentences);
+
+        const value = Math.round(Math.min(100, Math.max(0, score)));
+        const levels = [
+            [90, 'Muy fácil'], [80, 'Fácil'], [70, 'Bastante fácil'], [60, 'Normal'],
+            [50, 'Bastante difícil'], [30, 'Difícil'], [0, 'Muy difícil']
+        ];
+
+        return {
+            score: value,
+            formula: language === 'en' ? 'Flesch' : 'Fernández-Huerta',
+            level: levels.find(([min]) => value >= min)[1]
+        };
+    },
+
+    /**
+     * Palabras más repetidas, sin distinguir mayúsculas
+     */
+    getFrequencies(words, stopwords) {
+        const counts = new Map();
+
+        words.forEach(word => {
+            const lower = word.toLocaleLowerCase('es');
+            if (stopwords && stopwords.has(lower)) return;
+            if (/^\d+$/.test(lower)) return;
+            counts.set(lower, (counts.get(lower) || 0) + 1);
+        });
+
+        return [...counts.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'es'))
+            .slice(0, this.topWords);
+    },
+
+    formatDuration(seconds) {
+        if (seconds < 60) return `${seconds} s`;
+
+        const minutes = Math.floor(seconds / 60);
+        const rest = seconds % 60;
+        return rest ? `${minutes} min ${rest} s` : `${minutes} min`;
+    },
+
+    render(analysis) {
+        const escape = DOMManager.escapeHTML;
+        const stats = [
+            ['Caracteres', analysis.characters],
+            ['Sin espacios', analysis.charactersNoSpaces],
+            ['Palabras', analysis.words],
+            ['Oraciones', analysis.sentences],
+            ['Párrafos', analysis.paragraphs],
+            ['Lectura', this.formatDuration(analysis.readingSeconds)],
+            ['Exposición oral', this.formatDuration(analysis.speakingSeconds)]
+        ];
+
+        this.statsList.innerHTML = stats.map(([label, value]) => `
+            <div class="tool-stat">
+                <dt>${label}</dt>
+                <dd>${value}</dd>
+            </div>
+        `).join('');
+
+        const readability = analysis.readability;
+        this.readability.textContent = readability
+            ? `Legibilidad (${readability.formula}, ${this.languages[analysis.language].toLowerCase()}): ${readability.score}/100 · ${readability.level}`
+            : 'Escribe al menos una oración para calcular la legibilidad.';
+
+        this.wordList.innerHTML = analysis.frequencies.length
+            ? analysis.frequencies.map(([word, count]) =>
+                `<li><span>${escape(word)}</span><span class="tool-word-count">${count}</span></li>`).join('')
+            : '<li class="tool-note">Sin palabras todavía</li>';
+    },
+
+    /**
+     * Aplica una transformación al texto con opción de deshacer
+     */
+    applyTransform(name) {
+        const transform = this.transforms[name];
+        const input = this.input;
+        const previous = input.value;
+        if (!transform || !previous) return;
+
+        input.value = transform.fn(previous);
+        this.update();
+
+        App.showNotification(`Texto transformado a ${transform.label}`, 'info', {
+            label: 'Deshacer',
+            handler: () => {
+                // La herramienta pudo cerrarse (o volver a montarse) mientras el aviso seguía visible
+                if (!input.isConnected || input !== this.input) return;
+                input.value = previous;
+                this.update();
+            }
+        });
+    },
+
+    toTitleCase(text) {
+        return text.toLocaleLowerCase('es').replace(this.wordPattern, word =>
+            word.charAt(0).toLocaleUpperCase('es') + word.slice(1));
+    },
+
+    /**
+     * Texto apto para URLs: sin tildes, en minúsculas y con guiones
+     */
+    toSlug(text) {
+        return text
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    },
+
+    unmount() {
+        this.input = null;
+    }
+};
+
+// ===== GENERADOR DE PALETAS =====
+const PaletteGeneratorTool = {
+    title: 'Generador de Paletas',
+
+    /**
+     * Armonías: desplazamiento de tono (h) y de luminosidad (l) de cada color.
+     * baseIndex indica qué posición ocupa el color base.
+     */
+    harmonies: {
+        complementary: {
+            label: 'Complementaria',
+            baseIndex: 0,
+            steps: [{ h: 0 }, { h: 0, l: 18 }, { h: 180 }, { h: 180, l: 18 }, { h: 0, l: -18 }]
+        },
+        analogous: {
+            label: 'Análoga',
+            baseIndex: 2,
+            steps: [{ h: -40 }, { h: -20 }, { h: 0 }, { h: 20 }, { h: 40 }]
+        },
+        triadic: {
+            label: 'Triádica',
+            baseIndex: 0,
+            steps: [{ h: 0 }, { h: 120 }, { h: 240 }, { h: 0, l: 18 }, { h: 120, l: 18 }]
+        },
+        tetradic: {
+            label: 'Tetrádica',
+            baseIndex: 0,
+            steps: [{ h: 0 }, { h: 90 }, { h: 180 }, { h: 270 }, { h: 0, l: 18 }]
+        }
+    },
+
+    formats: { hex: 'HEX', rgb: 'RGB', hsl: 'HSL', oklch: 'OKLCH' },
+
+    // Fondos de referencia que se añaden a la comprobación de contraste
+    referenceColors: ['#FFFFFF', '#000000'],
+
+    /**
+     * Monta el generador con la última paleta guardada
+     */
+    mount(container, context) {
+        this.context = context;
+        const state = context.state;
+
+        this.base = ColorUtils.isHex(state.base) ? ColorUtils.toHex(ColorUtils.parseHex(state.base)) : COLOR_PALETTE.primary[1];
+        this.harmony = this.harmonies[state.harmony] ? state.harmony : 'complementary';
+        this.format = this.formats[state.format] ? state.format : 'hex';
+        this.prefix = typeof state.prefix === 'string' && state.prefix ? state.prefix : 'primary';
+        this.colors = Array.isArray(state.colors) && state.colors.every(color => ColorUtils.isHex(color)) ? state.colors : [];
+        this.locked = Array.isArray(state.locked) ? state.locked : [];
+
+        const presets = [...COLOR_PALETTE.primary, ...COLOR_PALETTE.secondary];
+
+        container.innerHTML = `
+            <div class="tool-actions">
+                <label class="tool-inline-field">
+                    Color base
+                    <input type="color" id="palette-base-picker">
+                </label>
+                <input type="text" id="palette-base" class="tool-inline-input" maxlength="7" aria-label="Color base en HEX">
+                <label class="tool-inline-field">
+                    Armonía
+                    <select id="palette-harmony">
+                        ${Object.entries(this.harmonies).map(([key, harmony]) => `<option value="${key}">${harmony.label}</option>`).join('')}
+                    </select>
+                </label>
+                <label class="tool-inline-field">
+                    Formato
+                    <select id="palette-format">
+                        ${Object.entries(this.formats).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+                    </select>
+                </label>
+                <button type="button" class="tool-btn" id="palette-regenerate">🎲 Regenerar</button>
+            </div>
+            <div class="palette-presets" role="group" aria-label="Colores del proyecto">
+                ${presets.map(color => `<button type="button" class="palette-preset" data-preset="${color}"
+                    style="background-color: ${color}" title="${color}" aria-label="Usar ${color} como base"></button>`).join('')}
+            </div>
+            <div id="palette-swatches" class="palette-swatches"></div>
+            <h4 class="tool-section-title">Contraste WCAG (texto sobre fondo)</h4>
+            <div class="palette-contrast-wrapper">
+                <table id="palette-contrast" class="palette-contrast"></table>
+            </div>
+            <h4 class="tool-section-title">Exportar como variables CSS</h4>
+            <div class="tool-actions">
+                <label class="tool-inline-field">
+                    Prefijo
+                    <input type="text" id="palette-prefix" class="tool-inline-input" maxlength="20">
+                </label>
+                <button type="button" class="tool-btn" id="palette-copy-css">Copiar CSS</button>
+            </div>
+            <pre id="palette-css" class="palette-css"></pre>
+        `;
+
+        this.container = container;
+        this.picker = container.querySelector('#palette-base-picker');
+        this.baseInput = container.querySelector('#palette-base');
+        this.harmonySelect = container.querySelector('#palette-harmony');
+        this.formatSelect = container.querySelector('#palette-format');
+        this.prefixInput = container.querySelector('#palette-prefix');
+
+        this.harmonySelect.value = this.harmony;
+        this.formatSelect.value = this.format;
+        this.prefixInput.value = this.prefix;
+
+        this.setupEventListeners();
+
+        if (this.colors.length === this.harmonies[this.harmony].steps.length) {
+            this.render();
+        } else {
+            this.generate();
+        }
+    },
+
+    setupEventListeners() {
+        const container = this.container;
+
+        this.picker.addEventListener('input', () => this.setBase(this.picker.value));
+
+        this.baseInput.addEventListener('change', () => {
+            if (ColorUtils.isHex(this.baseInput.value)) {
+                this.setBase(this.baseInput.value);
+            } else {
+                App.showNotification('Escribe un color HEX válido, por ejemplo #6A00F4', 'error');
+                this.baseInput.value = this.base;
+            }
+        });
+
+        this.harmonySelect.addEventListener('change', () => {
+            this.harmony = this.harmonySelect.value;
+            this.generate();
+        });
+
+        this.formatSelect.addEventListener('change', () => {
+            this.format = this.formatSelect.value;
+            this.render();
+        });
+
+        this.prefixInput.addEventListener('input', () => {
+            this.prefix = this.toSlug(this.prefixInput.value) || 'primary';
+            this.render();
+        });
+
+        container.querySelector('#palette-regenerate').addEventListener('click', () => this.generate({ randomize: true }));
+        container.querySelector('#palette-copy-css').addEventListener('click', () => this.copy(this.toCss(), 'Variables CSS copiadas'));
+
+        container.querySelector('.palette-presets').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-preset]');
+            if (button) this.setBase(button.dataset.preset);
+        });
+
+        container.querySelector('#palette-swatches').addEventListener('click', (e) => {
+            const lock = e.target.closest('[data-lock]');
+            const copy = e.target.closest('[data-copy]');
+
+            if (lock) {
+                const index = Number(lock.dataset.lock);
+                this.locked[index] = !this.locked[index];
+                this.render();
+            } else if (copy) {
+                this.copy(copy.dataset.copy, `${copy.dataset.copy} copiado`);
+            }
+        });
+    },
+
+    toSlug(text) {
+        return TextAnalyzerTool.toSlug(text);
+    },
+
+    setBase(hex) {
+        if (this.locked[this.harmonies[this.harmony].baseIndex]) {
+            App.showNotification('Desbloquea el color base para cambiarlo', 'info');
+            this.render();
+            return;
+        }
+
+        this.base = ColorUtils.toHex(ColorUtils.parseHex(hex));
+        this.generate();
+    },
+
+    /**
+     * Calcula la paleta desde el color base respetando los colores bloqueados.
+     * Con randomize cambia el color base (si no está bloqueado) y varía los demás.
+     */
+    generate({ randomize = false } = {}) {
+        const harmony = this.harmonies[this.harmony];
+        const baseLocked = this.locked[harmony.baseIndex] && this.colors[harmony.baseIndex];
+
+        if (baseLocked) {
+            this.base = this.colors[harmony.baseIndex];
+        } else if (randomize) {
+            this.base = ColorUtils.toHex(ColorUtils.hslToRgb({
+                h: Math.random() * 360,
+                s: 60 + Math.random() * 30,
+                l: 40 + Math.random() * 20
+            }));
+        }
+
+        const base = ColorUtils.rgbToHsl(ColorUtils.parseHex(this.base));
+        const jitter = () => randomize ? (Math.random() - 0.5) * 16 : 0;
+
+        this.colors = harmony.steps.map((step, index) => {
+            if (this.locked[index] && this.colors[index]) return this.colors[index];
+            if (index === harmony.baseIndex) return this.base;
+
+            return ColorUtils.toHex(ColorUtils.hslToRgb({
+                h: base.h + step.h,
+                s: base.s + jitter(),
+                l: base.l + (step.l || 0) + jitter()
+            }));
+        });
+
+        this.locked = harmony.steps.map((step, index) => Boolean(this.locked[index]));
+        this.render();
+    },
+
+    render() {
+        const escape = DOMManager.escapeHTML;
+
+        this.picker.value = this.base.toLowerCase();
+        this.baseInput.value = this.base;
+
+        this.container.querySelector('#palette-swatches').innerHTML = this.colors.map((color, index) => {
+            const value = ColorUtils.format(color, this.format);
+            const text = ColorUtils.getContrast(color, '#FFFFFF') >= ColorUtils.getContrast(color, '#000000') ? '#FFFFFF' : '#000000';
+            const locked = this.locked[index];
+
+            return `
+                <div class="palette-swatch" style="background-color: ${color}; color: ${text}">
+                    <button type="button" class="palette-lock" data-lock="${index}" aria-pressed="${locked}"
+                        aria-label="${locked ? 'Desbloquear' : 'Bloquear'} ${color}">${locked ? '🔒' : '🔓'}</button>
+                    <button type="button" class="palette-value" data-copy="${escape(value)}"
+                        title="Copiar">${escape(value)}</button>
+                </div>
+            `;
+        }).join('');
+
+        this.renderContrast();
+        this.container.querySelector('#palette-css').textContent = this.toCss();
+
+        this.context.saveState({
+            base: this.base,
+            harmony: this.harmony,
+            format: this.format,
+            prefix: this.prefix,
+            colors: this.colors,
+            locked: this.locked
+        });
+    },
+
+    /**
+     * Matriz de contraste: filas = color del texto, columnas = fondo
+     */
+    renderContrast() {
+        const colors = [...this.colors, ...this.referenceColors];
+
+        const header = colors.map(color =>
+            `<th scope="col"><span class="palette-chip" style="background-color: ${color}"></span><span class="sr-only">Fondo ${color}</span></th>`).join('');
+
+        const rows = colors.map((foreground, row) => {
+            const cells = colors.map((background, column) => {
+                if (row === column) return '<td class="palette-contrast-same">—</td>';
+
+                const ratio = ColorUtils.getContrast(foreground, background);
+                const { level, passes } = ColorUtils.getWcagLevel(ratio);
+
+                return `
+                    <td class="${passes ? 'contrast-pass' : 'contrast-fail'}" title="${foreground} sobre ${background}">
+                        <span class="palette-sample" style="color: ${foreground}; background-color: ${background}">Aa</span>
+                        <span>${ratio.toFixed(2)}</span>
+                        <small>${level}</small>
+                    </td>
+                `;
+            }).join('');
+
+            return `<tr><th scope="row"><span class="palette-chip" style="background-color: ${foreground}"></span><span class="sr-only">Texto ${foreground}</span></th>${cells}</tr>`;
+        }).join('');
+
+        this.container.querySelector('#palette-contrast').innerHTML = `
+            <thead><tr><td></td>${header}</tr></thead>
+            <tbody>${rows}</tbody>
+        `;
+    },
+
+    /**
+     * Variables CSS con la misma forma que estilos.css (--color-primary-100...)
+     */
+    toCss() {
+        const lines = this.colors.map((color, index) =>
+            `    --color-${this.prefix}-${(index + 1) * 100}: ${ColorUtils.format(color, this.format)};`);
+
+        return `:root {\n${lines.join('\n')}\n}`;
+    },
+
+    async copy(text, message) {
+        try {
+            await navigator.clipboard.writeText(text);
+            App.showNotification(message, 'success');
+        } catch (error) {
+            App.showNotification('No se pudo copiar al portapapeles', 'error');
+        }
+    },
+
+    unmount() {
+        this.container = null;
+    }
+};
+
+// ===== GENERADOR DE CONTRASEÑAS =====
+const PasswordGeneratorTool = {
+    title: 'Generador de Contraseñas',
+
+    charsets: {
+        lower: { label: 'Minúsculas (a-z)', chars: 'abcdefghijklmnopqrstuvwxyz' },
+        upper: { label: 'Mayúsculas (A-Z)', chars: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ' },
+        digits: { label: 'Números (0-9)', chars: '0123456789' },
+        symbols: { label: 'Símbolos (!@#...)', chars: '!@#$%^&*()-_=+[]{};:,.<>?/~|`\'"' }
+    },
+
+    // Caracteres que se confunden entre sí en muchas tipografías
+    ambiguous: 'Il1|O0o`\'"',
+
+    separators: {
+        '-': 'Guion (-)',
+        '.': 'Punto (.)',
+        '_': 'Guion bajo (_)',
+        ' ': 'Espacio'
+    },
+
+    lengthRange: { min: 8, max: 128 },
+    wordsRange: { min: 3, max: 12 },
+
+    // Segundos que la contraseña permanece en el portapapeles
+    clipboardTimeout: 30,
+
+    // Intentos por segundo de un ataque offline para estimar el tiempo de descifrado
+    guessesPerSecond: 1e10,
+
+    strengthLevels: [
+        { min: 0, label: 'Muy débil', className: 'strength-very-weak' },
+        { min: 28, label: 'Débil', className: 'strength-weak' },
+        { min: 36, label: 'Razonable', className: 'strength-fair' },
+        { min: 60, label: 'Fuerte', className: 'strength-strong' },
+        { min: 128, label: 'Muy fuerte', className: 'strength-very-strong' }
+    ],
+
+    // El temporizador del portapapeles sigue activo aunque se cierre la herramienta
+    clipboardValue: null,
+    clipboardDeadline: 0,
+    clipboardTimer: null,
+    clipboardRetry: null,
+    clearingClipboard: false,
+
+    /**
+     * Monta el generador con las últimas opciones guardadas.
+     * La contraseña generada nunca se guarda en localStorage.
+     */
+    mount(container, context) {
+        this.context = context;
+        const state = context.state;
+        const classes = state.classes || {};
+
+        this.options = {
+            mode: state.mode === 'passphrase' ? 'passphrase' : 'password',
+            length: this.clamp(state.length, this.lengthRange, 16),
+            classes: Object.fromEntries(Object.keys(this.charsets).map(key => [key, classes[key] !== false])),
+            excludeAmbiguous: Boolean(state.excludeAmbiguous),
+            words: this.clamp(state.words, this.wordsRange, 5),
+            separator: Object.hasOwn(this.separators, state.separator) ? state.separator : '-',
+            capitalize: state.capitalize !== false,
+            includeNumber: state.includeNumber !== false
+        };
+
+        if (!Object.values(this.options.classes).some(Boolean)) {
+            this.options.classes.lower = true;
+        }
+
+        container.innerHTML = `
+            <div class="tool-actions" role="group" aria-label="Tipo de contraseña">
+                <button type="button" class="tool-btn" data-mode="password">Contraseña</button>
+                <button type="button" class="tool-btn" data-mode="passphrase">Frase de contraseña</button>
+            </div>
+            <div class="password-output">
+                <input type="text" id="password-output" class="password-value" readonly
+                    spellcheck="false" autocomplete="off" aria-label="Contraseña generada">
+                <button type="button" class="tool-btn" id="password-regenerate" aria-label="Generar otra">🎲</button>
+                <button type="button" class="tool-btn" id="password-copy">Copiar</button>
+            </div>
+            <div class="password-meter" aria-hidden="true"><div id="password-meter-bar" class="password-meter-bar"></div></div>
+            <p id="password-strength" class="tool-note" aria-live="polite"></p>
+            <p id="password-clipboard" class="tool-note" aria-live="polite"></p>
+
+            <fieldset id="password-options" class="password-options">
+                <legend class="sr-only">Opciones de la contraseña</legend>
+                <label class="tool-inline-field">
+                    Longitud
+                    <input type="range" id="password-length-range" min="${this.lengthRange.min}" max="${this.lengthRange.max}">
+                    <input type="number" id="password-length" min="${this.lengthRange.min}" max="${this.lengthRange.max}">
+                </label>
+                <div class="password-checks">
+                    ${Object.entries(this.charsets).map(([key, charset]) => `
+                        <label class="tool-inline-field">
+                            <input type="checkbox" data-class="${key}"> ${charset.label}
+                        </label>`).join('')}
+                    <label class="tool-inline-field">
+                        <input type="checkbox" id="password-ambiguous"> Excluir ambiguos (${DOMManager.escapeHTML(this.ambiguous)})
+                    </label>
+                </div>
+            </fieldset>
+
+            <fieldset id="passphrase-options" class="password-options">
+                <legend class="sr-only">Opciones de la frase</legend>
+                <label class="tool-inline-field">
+                    Palabras
+                    <input type="number" id="passphrase-words" min="${this.wordsRange.min}" max="${this.wordsRange.max}">
+                </label>
+                <label class="tool-inline-field">
+                    Separador
+                    <select id="passphrase-separator">
+                        ${Object.entries(this.separators).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+                    </select>
+                </label>
+                <div class="password-checks">
+                    <label class="tool-inline-field">
+                        <input type="checkbox" id="passphrase-capitalize"> Mayúscula inicial
+                    </label>
+                    <label class="tool-inline-field">
+                        <input type="checkbox" id="passphrase-number"> Añadir un número
+                    </label>
+                </div>
+                <p class="tool-note">Lista de ${PASSPHRASE_WORDS.length} palabras incluida, sin conexión.</p>
+            </fieldset>
+        `;
+
+        this.container = container;
+        this.output = container.querySelector('#password-output');
+        this.lengthInput = container.querySelector('#password-length');
+        this.lengthRangeInput = container.querySelector('#password-length-range');
+        this.ambiguousInput = container.querySelector('#password-ambiguous');
+        this.wordsInput = container.querySelector('#passphrase-words');
+        this.separatorSelect = container.querySelector('#passphrase-separator');
+        this.capitalizeInput = container.querySelector('#passphrase-capitalize');
+        this.numberInput = container.querySelector('#passphrase-number');
+
+        this.lengthInput.value = this.options.length;
+        this.lengthRangeInput.value = this.options.length;
+        this.ambiguousInput.checked = this.options.excludeAmbiguous;
+        this.wordsInput.value = this.options.words;
+        this.separatorSelect.value = this.options.separator;
+        this.capitalizeInput.checked = this.options.capitalize;
+        this.numberInput.checked = this.options.includeNumber;
+        container.querySelectorAll('[data-class]').forEach(input => {
+            input.checked = this.options.classes[input.dataset.class];
+        });
+
+        this.setupEventListeners();
+        this.generate();
+        this.updateClipboardNote();
+    },
+
+    setupEventListeners() {
+        const container = this.container;
+
+        container.querySelectorAll('[data-mode]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.options.mode = button.dataset.mode;
+                this.generate();
+            });
+        });
+
+        const setLength = (value) => {
+            this.options.length = this.clamp(value, this.lengthRange, this.options.length);
+            this.lengthInput.value = this.options.length;
+            this.lengthRangeInput.value = this.options.length;
+            this.generate();
+        };
+        this.lengthRangeInput.addEventListener('input', () => setLength(this.lengthRangeInput.value));
+        this.lengthInput.addEventListener('change', () => setLength(this.lengthInput.value));
+
+        container.querySelectorAll('[data-class]').forEach(input => {
+            input.addEventListener('change', () => {
+                const classes = { ...this.options.classes, [input.dataset.class]: input.checked };
+
+                if (!Object.values(classes).some(Boolean)) {
+                    input.checked = true;
+                    App.showNotification('Elige al menos un tipo de carácter', 'error');
+                    return;
+                }
+
+                this.options.classes = classes;
+                this.generate();
+            });
+        });
+
+        this.ambiguousInput.addEventListener('change', () => {
+            this.options.excludeAmbiguous = this.ambiguousInput.checked;
+            this.generate();
+        });
+
+        this.wordsInput.addEventListener('change', () => {
+            this.options.words = this.clamp(this.wordsInput.value, this.wordsRange, this.options.words);
+            this.wordsInput.value = this.options.words;
+            this.generate();
+        });
+
+        this.separatorSelect.addEventListener('change', () => {
+            this.options.separator = this.separatorSelect.value;
+            this.generate();
+        });
+
+        this.capitalizeInput.addEventListener('change', () => {
+            this.options.capitalize = this.capitalizeInput.checked;
+            this.generate();
+        });
+
+        this.numberInput.addEventListener('change', () => {
+            this.options.includeNumber = this.numberInput.checked;
+            this.generate();
+        });
+
+        container.querySelector('#password-regenerate').addEventListener('click', () => this.generate());
+        container.querySelector('#password-copy').addEventListener('click', () => this.copy());
+    },
+
+    clamp(value, range, fallback) {
+        const number = parseInt(value, 10);
+        if (!Number.isFinite(number)) return fallback;
+        return Math.min(range.max, Math.max(range.min, number));
+    },
+
+    /**
+     * Entero aleatorio uniforme en [0, max) con crypto.getRandomValues.
+     * Se descartan los valores del último tramo incompleto para que el módulo no introduzca sesgo.
+     */
+    randomInt(max) {
+        if (!Number.isInteger(max) || max <= 0 || max > 2 ** 32) {
+            throw new RangeError('El máximo debe ser un entero entre 1 y 2^32');
+        }
+
+        const limit = 2 ** 32 - (2 ** 32 % max);
+        const buffer = new Uint32Array(1);
+
+        do {
+            crypto.getRandomValues(buffer);
+        } while (buffer[0] >= limit);
+
+        return buffer[0] % max;
+    },
+
+    pick(items) {
+        return items[this.randomInt(items.length)];
+    },
+
+    /**
+     * Juegos de caracteres elegidos, sin los ambiguos si se pide
+     * @returns {string[]}
+     */
+    getPools({ classes, excludeAmbiguous }) {
+        return Object.entries(this.charsets)
+            .filter(([key]) => classes[key])
+            .map(([key, charset]) => excludeAmbiguous
+                ? [...charset.chars].filter(char => !this.ambiguous.includes(char)).join('')
+                : charset.chars)
+            .filter(pool => pool.length > 0);
+    },
+
+    /**
+     * Genera una contraseña con al menos un carácter de cada tipo elegido.
+     * Se sortea sobre todo el alfabeto y se repite si falta algún tipo: así todas
+     * las contraseñas válidas son igual de probables.
+     */
+    generatePassword(options) {
+        const pools = this.getPools(options);
+        if (pools.length === 0) throw new Error('Elige al menos un tipo de carácter');
+        if (options.length < pools.length) throw new Error('La longitud es menor que el número de tipos elegidos');
+
+        const alphabet = [...pools.join('')];
+        let password;
+
+        do {
+            password = Array.from({ length: options.length }, () => this.pick(alphabet)).join('');
+        } while (!pools.every(pool => [...password].some(char => pool.includes(char))));
+
+        return password;
+    },
+
+    /**
+     * Entropía en bits de generatePassword: log2 del número de contraseñas válidas,
+     * contando por inclusión-exclusión las que contienen todos los tipos
+     */
+    getPasswordEntropy(options) {
+        const sizes = this.getPools(options).map(pool => pool.length);
+        const total = sizes.reduce((sum, size) => sum + size, 0);
+        if (total === 0) return 0;
+
+        let valid = 0;
+        for (let mask = 0; mask < 1 << sizes.length; mask++) {
+            const missing = sizes.filter((size, index) => mask & (1 << index));
+            const sign = missing.length % 2 ? -1 : 1;
+            valid += sign * Math.pow(1 - missing.reduce((sum, size) => sum + size, 0) / total, options.length);
+        }
+
+        return options.length * Math.log2(total) + Math.log2(valid);
+    },
+
+    /**
+     * Genera una frase de contraseña con PASSPHRASE_WORDS
+     */
+    generatePassphrase({ words, separator, capitalize, includeNumber }) {
+        const list = Array.from({ length: words }, () => {
+            const word = this.pick(PASSPHRASE_WORDS);
+            return capitalize ? word.charAt(0).toUpperCase() + word.slice(1) : word;
+        });
+
+        if (includeNumber) {
+            list[this.randomInt(list.length)] += this.randomInt(10);
+        }
+
+        return list.join(separator);
+    },
+
+    getPassphraseEntropy({ words, includeNumber }) {
+        const bits = words * Math.log2(PASSPHRASE_WORDS.length);
+        return includeNumber ? bits + Math.log2(10 * words) : bits;
+    },
+
+    getStrength(bits) {
+        return [...this.strengthLevels].reverse().find(level => bits >= level.min);
+    },
+
+    /**
+     * Tiempo medio para descifrarla probando la mitad del espacio de búsqueda
+     */
+    formatCrackTime(bits) {
+        const seconds = Math.pow(2, bits - 1) / this.guessesPerSecond;
+        const units = [
+            ['año', 'años', 31557600],
+            ['día', 'días', 86400],
+            ['hora', 'horas', 3600],
+            ['minuto', 'minutos', 60],
+            ['segundo', 'segundos', 1]
+        ];
+
+        if (seconds < 1) return 'menos de un segundo';
+        if (seconds >= 31557600 * 1e6) return 'más de un millón de años';
+
+        const [singular, plural, size] = units.find(([, , unitSize]) => seconds >= unitSize);
+        const amount = Math.floor(seconds / size);
+        return `${amount.toLocaleString('es')} ${amount === 1 ? singular : plural}`;
+    },
+
+    generate() {
+        const options = this.options;
+        const passphrase = options.mode === 'passphrase';
+
+        this.output.value = passphrase ? this.generatePassphrase(options) : this.generatePassword(options);
+        this.render(passphrase ? this.getPassphraseEntropy(options) : this.getPasswordEntropy(options));
+
+        this.context.saveState({ ...options, classes: { ...options.classes } });
+    },
+
+    render(bits) {
+        const container = this.container;
+        const passphrase = this.options.mode === 'passphrase';
+        const strength = this.getStrength(bits);
+        const bar = container.querySelector('#password-meter-bar');
+
+        container.querySelectorAll('[data-mode]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.mode === this.options.mode));
+        });
+        container.querySelector('#password-options').hidden = passphrase;
+        container.querySelector('#passphrase-options').hidden = !passphrase;
+        this.output.setAttribute('aria-label', passphrase ? 'Frase de contraseña generada' : 'Contraseña generada');
+
+        bar.className = `password-meter-bar ${strength.className}`;
+        bar.style.width = `${Math.max(4, Math.min(100, bits / 128 * 100))}%`;
+
+        container.querySelector('#password-strength').textContent =
+            `${strength.label} · ${Math.floor(bits)} bits de entropía · ${this.formatCrackTime(bits)} a ${this.guessesPerSecond.toExponential().replace('e+', 'E')} intentos/s`;
+    },
+
+    /**
+     * Copia la contraseña y la borra del portapapeles pasado clipboardTimeout
+     */
+    async copy() {
+        const value = this.output.value;
+
+        try {
+            await navigator.clipboard.writeText(value);
+        } catch (error) {
+            App.showNotification('No se pudo copiar al portapapeles', 'error');
+            return;
+        }
+
+        this.stopClipboardRetry();
+        this.clipboardValue = value;
+        this.clipboardDeadline = Date.now() + this.clipboardTimeout * 1000;
+
+        clearInterval(this.clipboardTimer);
+        this.clipboardTimer = setInterval(() => {
+            if (Date.now() >= this.clipboardDeadline) {
+                this.clearClipboard();
+            } else {
+                this.updateClipboardNote();
+            }
+        }, 1000);
+
+        this.updateClipboardNote();
+        App.showNotification(`Copiada. Se borrará del portapapeles en ${this.clipboardTimeout} s`, 'success');
+    },
+
+    /**
+     * Vacía el portapapeles solo si sigue conteniendo la contraseña copiada.
+     * Si el navegador no deja leerlo, se vacía igualmente.
+     */
+    async clearClipboard() {
+        const value = this.clipboardValue;
+        if (value === null || this.clearingClipboard) return;
+
+        clearInterval(this.clipboardTimer);
+        this.clipboardTimer = null;
+        this.clearingClipboard = true;
+
+        try {
+            let stillCopied = true;
+
+            try {
+                stillCopied = await navigator.clipboard.readText() === value;
+            } catch (error) {
+                // Sin permiso de lectura
+            }
+
+            if (stillCopied) {
+                await navigator.clipboard.writeText('');
+                App.showNotification('Contraseña borrada del portapapeles', 'info');
+            }
+
+            this.clipboardValue = null;
+            this.stopClipboardRetry();
+        } catch (error) {
+            // Con el documento sin foco (el usuario suele estar pegando en otra aplicación)
+            // writeText falla: se conserva la contraseña y se reintenta al volver a la página
+            this.waitForFocus();
+        } finally {
+            this.clearingClipboard = false;
+            this.updateClipboardNote();
+        }
+    },
+
+    /**
+     * Reintenta el borrado del portapapeles cuando la página recupera el foco o vuelve a verse
+     */
+    waitForFocus() {
+        if (this.clipboardRetry) return;
+
+        this.clipboardRetry = () => {
+            if (document.visibilityState === 'visible') this.clearClipboard();
+        };
+        window.addEventListener('focus', this.clipboardRetry);
+        document.addEventListener('visibilitychange', this.clipboardRetry);
+    },
+
+    stopClipboardRetry() {
+        if (!this.clipboardRetry) return;
+
+        window.removeEventListener('focus', this.clipboardRetry);
+        document.removeEventListener('visibilitychange', this.clipboardRetry);
+        this.clipboardRetry = null;
+    },
+
+    updateClipboardNote() {
+        const note = this.container && this.container.querySelector('#password-clipboard');
+        if (!note) return;
+
+        const seconds = Math.ceil((this.clipboardDeadline - Date.now()) / 1000);
+
+        if (this.clipboardRetry) {
+            note.textContent = '📋 En el portapapeles: se borrará al volver a esta página';
+        } else {
+            note.textContent = this.clipboardTimer && seconds > 0
+                ? `📋 En el portapapeles: se borrará en ${seconds} s`
+                : '';
+        }
+    },
+
+    unmount() {
+        this.container = null;
+    }
+};
+
+// ===== TEMPORIZADOR, CRONÓMETRO Y POMODORO =====
+const TimerTool = {
+    title: 'Temporizador',
+
+    views: {
+        countdown: 'Temporizador',
+        stopwatch: 'Cronómetro',
+        pomodoro: 'Pomodoro'
+    },
+
+    // Atajos del temporizador, en minutos
+    presets: [1, 5, 10, 15, 30, 60],
+
+    maxCountdown: (99 * 3600 + 59 * 60 + 59) * 1000,
+    maxLaps: 500,
+
+    phases: {
+        work: { label: 'Trabajo', setting: 'work' },
+        short: { label: 'Descanso corto', setting: 'shortBreak' },
+        long: { label: 'Descanso largo', setting: 'longBreak' }
+    },
+
+    // Opciones del ciclo Pomodoro (minutos salvo rounds)
+    pomodoroSettings: {
+        work: { label: 'Trabajo (min)', default: 25, min: 1, max: 120 },
+        shortBreak: { label: 'Descanso corto (min)', default: 5, min: 1, max: 60 },
+        longBreak: { label: 'Descanso largo (min)', default: 15, min: 1, max: 60 },
+        rounds: { label: 'Pomodoros por ciclo', default: 4, min: 1, max: 12 }
+    },
+
+    tickInterval: 200,
+
+    loaded: false,
+    ticker: null,
+    audioContext: null,
+
+    /**
+     * Hora actual en milisegundos desde epoch.
+     * performance.now() es monótono y no le afecta el reloj del sistema; sumado a
+     * timeOrigin se puede guardar y comparar tras recargar la página.
+     */
+    now() {
+        return performance.timeOrigin + performance.now();
+    },
+
+    /**
+     * Recupera los temporizadores guardados al cargar la página, aunque la herramienta esté cerrada
+     */
+    restore(context) {
+        this.context = context;
+        this.data = this.normalize(context.state);
+        this.loaded = true;
+
+        if (this.checkDeadlines().length > 0) {
+            App.showNotification('⏰ Un temporizador terminó mientras la página estaba cerrada', 'info');
+        }
+
+        this.updateTicker();
+    },
+
+    /**
+     * Valida el estado guardado; los valores corruptos vuelven a los predeterminados
+     */
+    normalize(state = {}) {
+        const time = (value, fallback = 0) => Number.isFinite(value) && value >= 0 ? value : fallback;
+        const stamp = (value) => Number.isFinite(value) ? value : null;
+
+        const countdown = state.countdown || {};
+        const stopwatch = state.stopwatch || {};
+        const pomodoro = state.pomodoro || {};
+        const saved = pomodoro.settings || {};
+
+        const settings = Object.fromEntries(Object.entries(this.pomodoroSettings).map(([key, setting]) =>
+            [key, this.clamp(saved[key], setting)]));
+        const phase = this.phases[pomodoro.phase] ? pomodoro.phase : 'work';
+        const duration = Math.min(time(countdown.duration, 5 * 60000), this.maxCountdown);
+
+        return {
+            view: this.views[state.view] ? state.view : 'countdown',
+            sound: state.sound !== false,
+            countdown: {
+                duration,
+                remaining: Math.min(time(countdown.remaining, duration), duration),
+                endsAt: stamp(countdown.endsAt)
+            },
+            stopwatch: {
+                elapsed: time(stopwatch.elapsed),
+                startedAt: stamp(stopwatch.startedAt),
+                laps: Array.isArray(stopwatch.laps) ? stopwatch.laps.filter(lap => Number.isFinite(lap)).slice(-this.maxLaps) : []
+            },
+            pomodoro: {
+                settings,
+                phase,
+                completed: Math.floor(time(pomodoro.completed)),
+                remaining: time(pomodoro.remaining, settings[this.phases[phase].setting] * 60000),
+                endsAt: stamp(pomodoro.endsAt)
+            }
+        };
+    },
+
+    clamp(value, { min, max, default: fallback }) {
+        const number = parseInt(value, 10);
+        if (!Number.isFinite(number)) return fallback;
+        return Math.min(max, Math.max(min, number));
+    },
+
+    save() {
+        this.context.saveState(this.data);
+    },
+
+    mount(container, context) {
+        if (!this.loaded) this.restore(context);
+
+        const field = (id, label, max) => `
+            <label class="tool-inline-field">
+                <input type="number" id="${id}" min="0" max="${max}" class="timer-field" aria-label="${label}">
+                ${label.charAt(0).toLowerCase()}
+            </label>`;
+
+        container.innerHTML = `
+            <div class="tool-actions">
+                <div role="group" aria-label="Modo" class="tool-actions timer-views">
+                    ${Object.entries(this.views).map(([key, label]) =>
+                        `<button type="button" class="tool-btn" data-view="${key}">${label}</button>`).join('')}
+                </div>
+                <label class="tool-inline-field">
+                    <input type="checkbox" id="timer-sound"> Aviso sonoro
+                </label>
+                <button type="button" class="tool-btn" data-timer-action="test-sound">🔔 Probar</button>
+            </div>
+
+            <section data-panel="countdown" aria-label="Temporizador">
+                <div id="countdown-display" class="timer-display" role="timer"></div>
+                <div class="tool-actions">
+                    ${field('countdown-hours', 'Horas', 99)}
+                    ${field('countdown-minutes', 'Minutos', 59)}
+                    ${field('countdown-seconds', 'Segundos', 59)}
+                </div>
+                <div class="tool-actions">
+                    ${this.presets.map(minutes =>
+                        `<button type="button" class="tool-btn" data-preset="${minutes}">${minutes < 60 ? `${minutes} min` : `${minutes / 60} h`}</button>`).join('')}
+                </div>
+                <div class="tool-actions">
+                    <button type="button" class="tool-btn" data-timer-action="countdown-toggle"></button>
+                    <button type="button" class="tool-btn" data-timer-action="countdown-reset">Reiniciar</button>
+                </div>
+            </section>
+
+            <section data-panel="stopwatch" aria-label="Cronómetro">
+                <div id="stopwatch-display" class="timer-display" role="timer"></div>
+                <div class="tool-actions">
+                    <button type="button" class="tool-btn" data-timer-action="stopwatch-toggle"></button>
+                    <button type="button" class="tool-btn" data-timer-action="stopwatch-lap">Vuelta</button>
+                    <button type="button" class="tool-btn" data-timer-action="stopwatch-reset">Reiniciar</button>
+                    <button type="button" class="tool-btn" data-timer-action="stopwatch-export">⬇️ Exportar CSV</button>
+                </div>
+                <table class="timer-laps">
+                    <thead><tr><th scope="col">Vuelta</th><th scope="col">Parcial</th><th scope="col">Total</th></tr></thead>
+                    <tbody id="stopwatch-laps"></tbody>
+                </table>
+            </section>
+
+            <section data-panel="pomodoro" aria-label="Pomodoro">
+                <p id="pomodoro-phase" class="timer-phase"></p>
+                <div id="pomodoro-display" class="timer-display" role="timer"></div>
+                <div class="tool-actions">
+                    <button type="button" class="tool-btn" data-timer-action="pomodoro-toggle"></button>
+                    <button type="button" class="tool-btn" data-timer-action="pomodoro-skip">Saltar fase</button>
+                    <button type="button" class="tool-btn" data-timer-action="pomodoro-reset">Reiniciar ciclo</button>
+                </div>
+                <div class="tool-actions">
+                    ${Object.entries(this.pomodoroSettings).map(([key, setting]) => `
+                        <label class="tool-inline-field">
+                            ${setting.label}
+                            <input type="number" data-pomodoro-setting="${key}" min="${setting.min}" max="${setting.max}">
+                        </label>`).join('')}
+                </div>
+                <p class="tool-note">Los cambios de duración se aplican a partir de la siguiente fase.</p>
+            </section>
+        `;
+
+        this.container = container;
+        container.querySelector('#timer-sound').checked = this.data.sound;
+        container.querySelectorAll('[data-pomodoro-setting]').forEach(input => {
+            input.value = this.data.pomodoro.settings[input.dataset.pomodoroSetting];
+        });
+
+        this.setupEventListeners();
+        this.fillCountdownFields();
+        this.renderLaps();
+        this.render();
+    },
+
+    setupEventListeners() {
+        const container = this.container;
+
+        container.addEventListener('click', (e) => {
+            const view = e.target.closest('[data-view]');
+            const preset = e.target.closest('[data-preset]');
+            const action = e.target.closest('[data-timer-action]');
+
+            if (view) {
+                this.data.view = view.dataset.view;
+                this.save();
+                this.render();
+            } else if (preset) {
+                this.setCountdown(Number(preset.dataset.preset) * 60000);
+            } else if (action) {
+                this.handleAction(action.dataset.timerAction);
+            }
+        });
+
+        container.querySelector('#timer-sound').addEventListener('change', (e) => {
+            this.data.sound = e.target.checked;
+            this.save();
+        });
+
+        container.querySelectorAll('.timer-field').forEach(input => {
+            input.addEventListener('change', () => {
+                const value = (id) => Math.max(0, parseInt(container.querySelector(`#${id}`).value, 10) || 0);
+                this.setCountdown((value('countdown-hours') * 3600 + value('countdown-minutes') * 60 + value('countdown-seconds')) * 1000);
+            });
+        });
+
+        container.querySelectorAll('[data-pomodoro-setting]').forEach(input => {
+            input.addEventListener('change', () => this.setPomodoroSetting(input.dataset.pomodoroSetting, input.value));
+        });
+    },
+
+    handleAction(action) {
+        const actions = {
+            'test-sound': () => this.playAlert({ force: true }),
+            'countdown-toggle': () => this.toggleCountdown(),
+            'countdown-reset': () => this.resetCountdown(),
+            'stopwatch-toggle': () => this.toggleStopwatch(),
+            'stopwatch-lap': () => this.addLap(),
+            'stopwatch-reset': () => this.resetStopwatch(),
+            'stopwatch-export': () => this.exportLaps(),
+            'pomodoro-toggle': () => this.togglePomodoro(),
+            'pomodoro-skip': () => this.skipPhase(),
+            'pomodoro-reset': () => this.resetPomodoro()
+        };
+
+        if (!actions[action]) return;
+
+        // El AudioContext solo puede arrancar tras un gesto del usuario
+        this.getAudioContext();
+        actions[action]();
+
+        this.save();
+        this.updateTicker();
+        this.render();
+    },
+
+    // ----- Temporizador -----
+
+    getCountdownRemaining() {
+        const { remaining, endsAt } = this.data.countdown;
+        return endsAt === null ? remaining : Math.max(0, endsAt - this.now());
+    },
+
+    setCountdown(ms) {
+        const countdown = this.data.countdown;
+
+        if (countdown.endsAt !== null) {
+            App.showNotification('Pausa el temporizador para cambiar la duración', 'info');
+            this.fillCountdownFields();
+            return;
+        }
+
+        countdown.duration = Math.min(this.maxCountdown, Math.max(0, ms));
+        countdown.remaining = countdown.duration;
+
+        this.fillCountdownFields();
+        this.save();
+        this.render();
+    },
+
+    toggleCountdown() {
+        const countdown = this.data.countdown;
+
+        if (countdown.endsAt !== null) {
+            countdown.remaining = this.getCountdownRemaining();
+            countdown.endsAt = null;
+            return;
+        }
+
+        if (countdown.remaining <= 0) countdown.remaining = countdown.duration;
+        if (countdown.remaining <= 0) {
+            App.showNotification('Indica una duración para el temporizador', 'error');
+            return;
+        }
+
+        countdown.endsAt = this.now() + countdown.remaining;
+    },
+
+    resetCountdown() {
+        const countdown = this.data.countdown;
+        countdown.endsAt = null;
+        countdown.remaining = countdown.duration;
+    },
+
+    fillCountdownFields() {
+        if (!this.container) return;
+
+        const seconds = Math.round(this.data.countdown.duration / 1000);
+        this.container.querySelector('#countdown-hours').value = Math.floor(seconds / 3600);
+        this.container.querySelector('#countdown-minutes').value = Math.floor(seconds % 3600 / 60);
+        this.container.querySelector('#countdown-seconds').value = seconds % 60;
+    },
+
+    // ----- Cronómetro -----
+
+    getStopwatchElapsed() {
+        const { elapsed, startedAt } = this.data.stopwatch;
+        return startedAt === null ? elapsed : elapsed + Math.max(0, this.now() - startedAt);
+    },
+
+    toggleStopwatch() {
+        const stopwatch = this.data.stopwatch;
+
+        if (stopwatch.startedAt === null) {
+            stopwatch.startedAt = this.now();
+        } else {
+            stopwatch.elapsed = this.getStopwatchElapsed();
+            stopwatch.startedAt = null;
+        }
+    },
+
+    addLap() {
+        const stopwatch = this.data.stopwatch;
+        const total = this.getStopwatchElapsed();
+
+        if (total === 0 || total === stopwatch.laps[stopwatch.laps.length - 1]) return;
+
+        stopwatch.laps.push(total);
+        stopwatch.laps = stopwatch.laps.slice(-this.maxLaps);
+        this.renderLaps();
+    },
+
+    resetStopwatch() {
+        this.data.stopwatch = { elapsed: 0, startedAt: null, laps: [] };
+        this.renderLaps();
+    },
+
+    /**
+     * Vueltas con su tiempo parcial (desde la vuelta anterior) y total
+     */
+    getLaps() {
+        return this.data.stopwatch.laps.map((total, index, laps) => ({
+            number: index + 1,
+            split: total - (index > 0 ? laps[index - 1] : 0),
+            total
+        }));
+    },
+
+    exportLaps() {
+        const laps = this.getLaps();
+
+        if (laps.length === 0) {
+            App.showNotification('No hay vueltas para exportar', 'error');
+            return;
+        }
+
+        const lines = ['Vuelta,Parcial,Total,Parcial (ms),Total (ms)', ...laps.map(lap =>
+            [lap.number, this.formatTime(lap.split, { hundredths: true }), this.formatTime(lap.total, { hundredths: true }),
+                Math.round(lap.split), Math.round(lap.total)].join(','))];
+
+        const date = new Date().toISOString().split('T')[0];
+        const blob = new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = DOMManager.createElement('a', { href: url, download: `cronometro-${date}.csv` });
+
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        App.showNotification(`⬇️ ${laps.length} vueltas exportadas (CSV)`, 'success');
+    },
+
+    // ----- Pomodoro -----
+
+    getPhaseDuration(phase) {
+        return this.data.pomodoro.settings[this.phases[phase].setting] * 60000;
+    },
+
+    getPomodoroRemaining() {
+        const { remaining, endsAt } = this.data.pomodoro;
+        return endsAt === null ? remaining : Math.max(0, endsAt - this.now());
+    },
+
+    togglePomodoro() {
+        const pomodoro = this.data.pomodoro;
+
+        if (pomodoro.endsAt === null) {
+            pomodoro.endsAt = this.now() + pomodoro.remaining;
+        } else {
+            pomodoro.remaining = this.getPomodoroRemaining();
+            pomodoro.endsAt = null;
+        }
+    },
+
+    /**
+     * Pasa a la siguiente fase: tras cada `rounds` pomodoros toca descanso largo
+     */
+    advancePhase() {
+        const pomodoro = this.data.pomodoro;
+
+        if (pomodoro.phase === 'work') {
+            pomodoro.completed++;
+            pomodoro.phase = pomodoro.completed % pomodoro.settings.rounds === 0 ? 'long' : 'short';
+        } else {
+            pomodoro.phase = 'work';
+        }
+
+        pomodoro.remaining = this.getPhaseDuration(pomodoro.phase);
+    },
+
+    skipPhase() {
+        const pomodoro = this.data.pomodoro;
+        const running = pomodoro.endsAt !== null;
+
+        this.advancePhase();
+        pomodoro.endsAt = running ? this.now() + pomodoro.remaining : null;
+    },
+
+    resetPomodoro() {
+        const pomodoro = this.data.pomodoro;
+        pomodoro.phase = 'work';
+        pomodoro.completed = 0;
+        pomodoro.endsAt = null;
+        pomodoro.remaining = this.getPhaseDuration('work');
+    },
+
+    setPomodoroSetting(key, value) {
+        const pomodoro = this.data.pomodoro;
+        const phaseDuration = this.getPhaseDuration(pomodoro.phase);
+        const untouched = pomodoro.endsAt === null && pomodoro.remaining === phaseDuration;
+
+        pomodoro.settings[key] = this.clamp(value, this.pomodoroSettings[key]);
+
+        // Si la fase actual no ha empezado, toma la nueva duración al momento
+        if (untouched) pomodoro.remaining = this.getPhaseDuration(pomodoro.phase);
+
+        if (this.container) {
+            this.container.querySelector(`[data-pomodoro-setting="${key}"]`).value = pomodoro.settings[key];
+        }
+
+        this.save();
+        this.render();
+    },
+
+    // ----- Motor común -----
+
+    /**
+     * Comprueba los plazos vencidos a partir de las marcas de tiempo, no de los ticks:
+     * aunque el navegador ralentice los intervalos en segundo plano no hay deriva.
+     * Las fases de Pomodoro vencidas se encadenan desde la hora exacta en que terminó la anterior.
+     * @returns {string[]} Avisos de lo que ha terminado
+     */
+    checkDeadlines() {
+        const now = this.now();
+        const { countdown, pomodoro } = this.data;
+        const finished = [];
+
+        if (countdown.endsAt !== null && countdown.endsAt <= now) {
+            countdown.endsAt = null;
+            countdown.remaining = 0;
+            finished.push('Tiempo terminado');
+        }
+
+        while (pomodoro.endsAt !== null && pomodoro.endsAt <= now) {
+            const endedAt = pomodoro.endsAt;
+            const label = this.phases[pomodoro.phase].label;
+
+            this.advancePhase();
+            pomodoro.endsAt = endedAt + pomodoro.remaining;
+            finished.push(`${label} terminado. Ahora: ${this.phases[pomodoro.phase].label.toLowerCase()}`);
+        }
+
+        if (finished.length > 0) this.save();
+        return finished;
+    },
+
+    isRunning() {
+        const { countdown, stopwatch, pomodoro } = this.data;
+        return countdown.endsAt !== null || stopwatch.startedAt !== null || pomodoro.endsAt !== null;
+    },
+
+    /**
+     * El intervalo solo existe mientras hay algo en marcha
+     */
+    updateTicker() {
+        if (this.isRunning() && !this.ticker) {
+            this.ticker = setInterval(() => this.tick(), this.tickInterval);
+        } else if (!this.isRunning() && this.ticker) {
+            clearInterval(this.ticker);
+            this.ticker = null;
+        }
+    },
+
+    tick() {
+        const finished = this.checkDeadlines();
+
+        if (finished.length > 0) {
+            this.playAlert();
+            App.showNotification(`⏰ ${finished[finished.length - 1]}`, 'info');
+        }
+
+        this.updateTicker();
+        this.render();
+    },
+
+    getAudioContext() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
+
+        if (!this.audioContext) this.audioContext = new AudioContextClass();
+        if (this.audioContext.state === 'suspended') this.audioContext.resume().catch(() => {});
+
+        return this.audioContext;
+    },
+
+    /**
+     * Tres pitidos sintetizados con Web Audio (sin archivos de sonido)
+     */
+    playAlert({ force = false } = {}) {
+        if (!this.data.sound && !force) return;
+
+        const context = this.getAudioContext();
+        if (!context) return;
+
+        const start = context.currentTime + 0.05;
+
+        [0, 0.3, 0.6].forEach(offset => {
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            const time = start + offset;
+
+            oscillator.type = 'sine';
+            oscillator.frequency.value = 880;
+            gain.gain.setValueAtTime(0.0001, time);
+            gain.gain.exponentialRampToValueAtTime(0.3, time + 0.02);
+            gain.gain.exponentialRampToValueAtTime(0.0001, time + 0.25);
+
+            oscillator.connect(gain);
+            gain.connect(context.destination);
+            oscillator.start(time);
+            oscillator.stop(time + 0.26);
+        });
+    },
+
+    /**
+     * Formatea milisegundos como [hh:]mm:ss[,cc]
+     * Sin centésimas se redondea hacia arriba para que la cuenta atrás no muestre 00:00 antes de tiempo
+     */
+    formatTime(ms, { hundredths = false } = {}) {
+        const total = hundredths ? Math.floor(ms / 10) : Math.ceil(ms / 1000) * 100;
+        const seconds = Math.floor(total / 100);
+        const pad = (value) => String(value).padStart(2, '0');
+
+        const hours = Math.floor(seconds / 3600);
+        const clock = `${hours > 0 ? `${pad(hours)}:` : ''}${pad(Math.floor(seconds % 3600 / 60))}:${pad(seconds % 60)}`;
+
+        return hundredths ? `${clock},${pad(total % 100)}` : clock;
+    },
+
+    render() {
+        const container = this.container;
+        if (!container) return;
+
+        const { view, countdown, stopwatch, pomodoro } = this.data;
+
+        container.querySelectorAll('[data-view]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.view === view));
+        });
+        container.querySelectorAll('[data-panel]').forEach(panel => {
+            panel.hidden = panel.dataset.panel !== view;
+        });
+
+        const setToggle = (action, running, idleLabel = 'Iniciar') => {
+            container.querySelector(`[data-timer-action="${action}"]`).textContent = running ? '⏸ Pausar' : `▶ ${idleLabel}`;
+        };
+
+        const countdownRemaining = this.getCountdownRemaining();
+        const countdownPaused = countdown.endsAt === null && countdownRemaining > 0 && countdownRemaining < countdown.duration;
+        container.querySelector('#countdown-display').textContent = this.formatTime(countdownRemaining);
+        container.querySelector('#countdown-display').classList.toggle('finished', countdownRemaining === 0 && countdown.duration > 0);
+        container.querySelectorAll('.timer-field').forEach(input => { input.disabled = countdown.endsAt !== null; });
+        setToggle('countdown-toggle', countdown.endsAt !== null, countdownPaused ? 'Reanudar' : 'Iniciar');
+
+        container.querySelector('#stopwatch-display').textContent = this.formatTime(this.getStopwatchElapsed(), { hundredths: true });
+        setToggle('stopwatch-toggle', stopwatch.startedAt !== null, stopwatch.elapsed > 0 ? 'Reanudar' : 'Iniciar');
+
+        const round = pomodoro.phase === 'work'
+            ? pomodoro.completed % pomodoro.settings.rounds + 1
+            : (pomodoro.completed - 1) % pomodoro.settings.rounds + 1;
+        container.querySelector('#pomodoro-phase').textContent =
+            `${this.phases[pomodoro.phase].label} · pomodoro ${round} de ${pomodoro.settings.rounds} · ${pomodoro.completed} completados`;
+        container.querySelector('#pomodoro-phase').dataset.phase = pomodoro.phase;
+        container.querySelector('#pomodoro-display').textContent = this.formatTime(this.getPomodoroRemaining());
+        setToggle('pomodoro-toggle', pomodoro.endsAt !== null,
+            pomodoro.remaining < this.getPhaseDuration(pomodoro.phase) ? 'Reanudar' : 'Iniciar');
+    },
+
+    renderLaps() {
+        if (!this.container) return;
+
+        const laps = this.getLaps();
+        const splits = laps.map(lap => lap.split);
+        const fastest = Math.min(...splits);
+        const slowest = Math.max(...splits);
+
+        this.container.querySelector('#stopwatch-laps').innerHTML = laps.reverse().map(lap => {
+            const mark = laps.length > 1 && lap.split === fastest ? 'lap-fastest'
+                : laps.length > 1 && lap.split === slowest ? 'lap-slowest' : '';
+
+            return `
+                <tr class="${mark}">
+                    <td>${lap.number}</td>
+                    <td>${this.formatTime(lap.split, { hundredths: true })}</td>
+                    <td>${this.formatTime(lap.total, { hundredths: true })}</td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Al cerrar la herramienta los temporizadores siguen en marcha
+     */
+    unmount() {
+        this.container = null;
+    }
+};
+
+ToolRegistry.register('contador', TextAnalyzerTool);
+ToolRegistry.register('colores', PaletteGeneratorTool);
+ToolRegistry.register('contrasenas', PasswordGeneratorTool);
+ToolRegistry.register('temporizador', TimerTool);
+
+// Exponer al scope global para acceso desde HTML
+window.ToolRegistry = ToolRegistry;
+window.TextAnalyzerTool = TextAnalyzerTool;
+window.PaletteGeneratorTool = PaletteGeneratorTool;
+window.PasswordGeneratorTool = PasswordGeneratorTool;
+window.TimerTool = TimerTool;
@@ -0,0 +1,114 @@
+/**
+ * Lista de palabras para las frases de contraseña del generador
+ * - Incluida en el proyecto para funcionar sin conexión
+ * - Palabras comunes en español, sin tildes ni eñes para escribirlas en cualquier teclado
+ * - Cada palabra aporta log2(PASSPHRASE_WORDS.length) bits de entropía (~10 bits)
+ */
+
+// ===== LISTA DE PALABRAS =====
+const PASSPHRASE_WORDS = Object.freeze([
+    'abanico', 'abeja', 'abrazo', 'abrigo', 'abuelo', 'aceite', 'acento', 'acero', 'acordeon', 'acuarela',
+    'acuario', 'adorno', 'aduana', 'afecto', 'agenda', 'agosto', 'aguacate', 'aguila', 'aguja', 'ahorro',
+    'aire', 'ajedrez', 'ajo', 'ajuar', 'alambre', 'alarma', 'alba', 'albahaca', 'albergue', 'alcachofa',
+    'alcalde', 'alce', 'aldea', 'alegria', 'aleta', 'alfiler', 'alfombra', 'algodon', 'aliento', 'alimento',
+    'almacen', 'almeja', 'almendra', 'almendro', 'almohada', 'alpaca', 'altura', 'alumno', 'amanecer', 'amapola',
+    'amarillo', 'ambar', 'amigo', 'ampolla', 'amuleto', 'anchoa', 'ancla', 'andamio', 'anfora', 'anguila',
+    'anillo', 'animal', 'antena', 'antorcha', 'anzuelo', 'apio', 'aprendiz', 'arado', 'arana', 'arbol',
+    'arbusto', 'arcilla', 'arco', 'arcoiris', 'ardilla', 'arena', 'armario', 'aroma', 'arpa', 'arroyo',
+    'arroz', 'arte', 'asfalto', 'asiento', 'asno', 'astro', 'atajo', 'atlas', 'atleta', 'atun',
+    'aula', 'aurora', 'autobus', 'avellana', 'avellano', 'avena', 'avion', 'avispa', 'ayuda', 'azafran',
+    'azucar', 'azul', 'azulejo', 'bacalao', 'bahia', 'baile', 'balanza', 'balcon', 'ballena', 'balon',
+    'balsa', 'bambino', 'bambu', 'banco', 'bandera', 'banquete', 'barba', 'barco', 'barniz', 'barril',
+    'barro', 'basta', 'bastidor', 'baston', 'batalla', 'bateria', 'baul', 'bebida', 'belleza', 'bellota',
+    'berenjena', 'berro', 'biblioteca', 'bicicleta', 'bigote', 'billete', 'bisagra', 'bisonte', 'bizcocho', 'blanco',
+    'bloque', 'boca', 'bocina', 'bodega', 'boligrafo', 'bolsa', 'bombero', 'bombilla', 'bombo', 'bondad',
+    'bosque', 'bosquejo', 'bota', 'botella', 'boton', 'brasero', 'brazo', 'brisa', 'brocha', 'broche',
+    'brocoli', 'bruja', 'brujula', 'buey', 'bufalo', 'bufanda', 'buho', 'burbuja', 'burro', 'buzon',
+    'caballo', 'cabana', 'cabeza', 'cable', 'cabra', 'cacao', 'cactus', 'cadena', 'cafe', 'caiman',
+    'caja', 'cajon', 'calabaza', 'calamar', 'calcetin', 'caldo', 'calendario', 'calle', 'calor', 'cama',
+    'camaron', 'camello', 'camino', 'camion', 'camisa', 'campana', 'campanario', 'campo', 'canal', 'canasta',
+    'cancion', 'candado', 'candil', 'canela', 'cangrejo', 'canguro', 'canica', 'canoa', 'cansancio', 'cantante',
+    'caoba', 'capilla', 'capitan', 'capucha', 'cara', 'caracol', 'carbon', 'cardo', 'carne', 'carpa',
+    'carrera', 'carrusel', 'carta', 'casa', 'cascabel', 'cascada', 'casco', 'castana', 'castillo', 'castor',
+    'catalejo', 'catedral', 'caverna', 'cebolla', 'cebra', 'cedro', 'ceja', 'cena', 'ceniza', 'cepillo',
+    'cerdo', 'cereza', 'cerilla', 'cerradura', 'cesta', 'chaleco', 'champu', 'chaqueta', 'charco', 'chimenea',
+    'chispa', 'chocolate', 'cielo', 'ciervo', 'cigarra', 'cima', 'cimiento', 'cine', 'cinta', 'circo',
+    'ciruela', 'cisne', 'ciudad', 'clarinete', 'clavel', 'clavo', 'cobertizo', 'cobre', 'cocina', 'coco',
+    'codo', 'codorniz', 'cofre', 'cohete', 'cojin', 'col', 'colcha', 'colibri', 'colina', 'collar',
+    'colmena', 'color', 'columna', 'cometa', 'comida', 'comodin', 'compas', 'concha', 'condor', 'conejo',
+    'copa', 'coral', 'corazon', 'corbata', 'cordero', 'corona', 'corral', 'cortijo', 'cortina', 'cosecha',
+    'costa', 'cristal', 'cuaderno', 'cuadrante', 'cuadro', 'cuarto', 'cubo', 'cuchara', 'cuello', 'cuento',
+    'cuerda', 'cuervo', 'cueva', 'cultura', 'cumbre', 'cuna', 'curva', 'dado', 'dama', 'danza',
+    'dardo', 'dedal', 'dedalera', 'dedo', 'delantal', 'delfin', 'deporte', 'desierto', 'despensa', 'destino',
+    'diadema', 'diamante', 'diario', 'dibujo', 'diente', 'dinero', 'dinosaurio', 'disco', 'doctor',
+    'dolar', 'domingo', 'dominio', 'dragon', 'ducha', 'duende', 'dulce', 'duna', 'durazno', 'ebano',
+    'eclipse', 'edad', 'edificio', 'ejemplo', 'ejercito', 'elefante', 'embudo', 'enano', 'encaje', 'encina',
+    'energia', 'enero', 'engranaje', 'enigma', 'ensalada', 'entrada', 'equipo', 'escalera', 'escarcha', 'escoba',
+    'escudo', 'esmeralda', 'espada', 'espejo', 'espiga', 'espinaca', 'esponja', 'esquina', 'estacion', 'estandarte',
+    'estatua', 'estrella', 'estufa', 'etapa', 'eucalipto', 'examen', 'exito', 'fabrica', 'faisan', 'faja',
+    'falda', 'familia', 'faro', 'farol', 'favor', 'febrero', 'fecha', 'feria', 'ferrocarril', 'fideo',
+    'fiesta', 'figura', 'figurin', 'fila', 'filo', 'flauta', 'flecha', 'flor', 'foca', 'fogata',
+    'fondo', 'forma', 'fortuna', 'foto', 'fragua', 'frambuesa', 'fresa', 'fresno', 'frijol', 'frontera',
+    'fruta', 'fuego', 'fuente', 'fuerza', 'funda', 'futbol', 'gacela', 'gafas', 'galaxia', 'galleta',
+    'gallina', 'gallo', 'ganso', 'garaje', 'garbanzo', 'garra', 'garza', 'gato', 'gaviota', 'gema',
+    'genio', 'gente', 'geranio', 'gigante', 'girasol', 'glaciar', 'globo', 'gloria', 'golondrina', 'goma',
+    'gorila', 'gorra', 'gota', 'gramola', 'granero', 'granja', 'grano', 'grillo', 'grito', 'grosella',
+    'grulla', 'guante', 'guisante', 'guitarra', 'gusano', 'habano', 'hacha', 'hada', 'halcon', 'hamaca',
+    'harina', 'haya', 'hebilla', 'helado', 'helecho', 'herida', 'hermano', 'heroe', 'herradura', 'hielo',
+    'hierba', 'hierro', 'higo', 'hilo', 'hipopotamo', 'historia', 'hogar', 'hoja', 'hombro', 'hongo',
+    'hora', 'hormiga', 'hornillo', 'horno', 'hotel', 'hueso', 'huevo', 'humo', 'huracan', 'huron',
+    'iglesia', 'iglu', 'iguana', 'imagen', 'iman', 'impulso', 'incienso', 'indice', 'insecto', 'invernadero',
+    'invierno', 'isla', 'jabali', 'jabon', 'jade', 'jaguar', 'jamon', 'jardin', 'jarra', 'jarron',
+    'jaula', 'jazmin', 'jefe', 'jengibre', 'jinete', 'jirafa', 'joya', 'juego', 'jueves', 'juez',
+    'juglar', 'jugo', 'juguete', 'julio', 'jungla', 'junio', 'kilo', 'kiosco', 'koala', 'laberinto',
+    'labio', 'ladrillo', 'lagar', 'lagarto', 'lago', 'lagrima', 'laguna', 'lamina', 'lampara', 'lana',
+    'langosta', 'langostino', 'lapiz', 'largo', 'lata', 'laurel', 'lavanda', 'lazo', 'leche', 'lechuga',
+    'lechuza', 'lector', 'lengua', 'lenteja', 'leon', 'leopardo', 'letra', 'libelula', 'libro', 'liebre',
+    'lienzo', 'liga', 'lima', 'limon', 'lince', 'linea', 'linterna', 'lirio', 'llama', 'llanura',
+    'llave', 'lluvia', 'lobo', 'lombriz', 'loro', 'lucero', 'luna', 'lunes', 'luz', 'maceta',
+    'madera', 'madre', 'maestro', 'magia', 'maiz', 'maleta', 'mallas', 'mamut', 'manantial', 'manati',
+    'mandarina', 'mango', 'manivela', 'mano', 'manta', 'manzana', 'mapa', 'mapache', 'mar', 'marco',
+    'marea', 'marioneta', 'mariposa', 'marmol', 'marmota', 'martes', 'martillo', 'mascara', 'mascota', 'mayo',
+    'mecedora', 'medalla', 'medusa', 'mejilla', 'mejillon', 'melon', 'memoria', 'menta', 'mercado', 'mesa',
+    'meta', 'metal', 'mezcla', 'miel', 'milagro', 'mina', 'minuto', 'mirada', 'mirador', 'mirlo',
+    'mochila', 'mofeta', 'molinillo', 'molino', 'monasterio', 'moneda', 'mono', 'montana', 'mora', 'morsa',
+    'mosaico', 'mosca', 'motor', 'mueble', 'muelle', 'mundo', 'muralla', 'murcielago', 'museo', 'musgo',
+    'musica', 'nabo', 'naranja', 'nariz', 'nata', 'nave', 'navidad', 'neblina', 'nectar', 'nido',
+    'niebla', 'nieve', 'nivel', 'noche', 'nogal', 'nombre', 'noria', 'norte', 'nota', 'novela',
+    'nube', 'nuez', 'numero', 'nutria', 'oasis', 'obelisco', 'obispo', 'objeto', 'oceano', 'ocho',
+    'oficina', 'ojo', 'ola', 'oliva', 'olmo', 'ombligo', 'onda', 'opera', 'orca', 'orden',
+    'oreja', 'orilla', 'oro', 'orquesta', 'orquidea', 'oruga', 'oso', 'ostra', 'otono', 'oveja',
+    'paella', 'pagina', 'pagoda', 'paja', 'pajaro', 'pala', 'palacio', 'palangana', 'palmera', 'paloma',
+    'pan', 'panda', 'pantalla', 'pantera', 'panuelo', 'papaya', 'papel', 'paquete', 'paraguas', 'paraiso',
+    'pared', 'parque', 'pasillo', 'pasta', 'pastel', 'patata', 'patio', 'pato', 'pavo', 'payaso',
+    'peine', 'pelicano', 'pelota', 'pendiente', 'pepino', 'pera', 'perdiz', 'perfume', 'pergamino', 'perla',
+    'perro', 'persiana', 'pesebre', 'pestana', 'piano', 'pico', 'pie', 'piedra', 'piel', 'pijama',
+    'pimienta', 'pincel', 'pinguino', 'pino', 'pintura', 'pinza', 'piramide', 'pirata', 'piscina', 'pista',
+    'pistacho', 'pizarra', 'planeta', 'planta', 'plata', 'platano', 'plato', 'playa', 'pluma', 'polen',
+    'pollo', 'polvo', 'pomelo', 'poncho', 'portal', 'portico', 'postre', 'pozo', 'pradera', 'premio',
+    'primavera', 'principe', 'prisma', 'puente', 'puercoespin', 'puerta', 'pulga', 'pulpo', 'puma', 'punto',
+    'pupitre', 'queso', 'quetzal', 'quimica', 'quinque', 'quinta', 'rabano', 'radio', 'raiz', 'rama',
+    'rana', 'ranura', 'rapido', 'rastrillo', 'raton', 'rayo', 'razon', 'rebano', 'receta', 'recreo',
+    'red', 'regalo', 'regla', 'reina', 'relicario', 'reloj', 'remo', 'remolino', 'reno', 'retablo',
+    'retrato', 'rey', 'rincon', 'rinoceronte', 'rio', 'risa', 'roble', 'roca', 'rocio', 'rodilla',
+    'rojo', 'rompecabezas', 'rosa', 'rosal', 'rubi', 'rueda', 'ruido', 'ruisenor', 'ruleta', 'ruta',
+    'sabado', 'sabana', 'sable', 'sal', 'salamandra', 'salmon', 'salsa', 'saltamontes', 'salto', 'salud',
+    'sandalia', 'sandia', 'sapo', 'sarcofago', 'sardina', 'sarten', 'selva', 'semaforo', 'semana', 'semilla',
+    'sendero', 'serpiente', 'sierra', 'siglo', 'silbato', 'silla', 'silueta', 'sirena', 'sobre', 'sofa',
+    'sol', 'soldado', 'sombra', 'sombrero', 'sonajero', 'sonido', 'sopa', 'sorpresa', 'suelo', 'sueno',
+    'suerte', 'surco', 'tabla', 'taburete', 'taco', 'tambor', 'tapiz', 'tarde', 'tarea', 'tarjeta',
+    'tarta', 'taza', 'teatro', 'techo', 'tejado', 'tejon', 'tela', 'telar', 'telefono', 'telescopio',
+    'tema', 'templo', 'tenedor', 'tesoro', 'tiburon', 'tiempo', 'tienda', 'tierra', 'tigre', 'tijera',
+    'timbre', 'tinaja', 'tinta', 'tintero', 'tio', 'tiza', 'toalla', 'tobillo', 'tobogan', 'tomate',
+    'topo', 'tormenta', 'tornillo', 'toro', 'torre', 'tortuga', 'trabajo', 'tractor', 'trampa', 'trapecio',
+    'trebol', 'tren', 'tridente', 'trigo', 'trineo', 'trompeta', 'trompo', 'tronco', 'trucha', 'trueno',
+    'tucan', 'tulipan', 'tunel', 'turista', 'union', 'universo', 'urraca', 'uva',
+    'vaca', 'vagon', 'vajilla', 'valle', 'vapor', 'vaso', 'vela', 'velero', 'veleta', 'vena',
+    'ventana', 'ventilador', 'verano', 'verde', 'vereda', 'vestido', 'viaje', 'victoria', 'vida', 'vidrio',
+    'viento', 'viernes', 'vinagre', 'violin', 'visita', 'vitral', 'vivienda', 'volcan', 'voz', 'vuelo',
+    'yate', 'yegua', 'yema', 'yeso', 'yogur', 'yunque', 'zafiro', 'zaguan', 'zanahoria', 'zapato',
+    'zarza', 'zona', 'zorro', 'zorzal', 'zumo'
+]);
+
+// Exponer al scope global para acceso desde HTML
+window.PASSPHRASE_WORDS = PASSPHRASE_WORDS;
@@ -4,11 +4,11 @@
  * 1. Validación de formularios
  * 2. Manejo del DOM
  * 3. Funcionalidades dinámicas:
- *    - Lista dinámica
+ *    - Lista dinámica (sincronizada entre pestañas con versión por item)
  *    - Carrusel de imágenes
  *    - Galería interactiva
- *    - Modo oscuro/claro
- *    - Calculadora simple
+ *    - Utilidades de color (el tema se gestiona en tema.js)
+ *    - Calculadora simple (aritmética decimal exacta)
  */
 
 // ===== CONSTANTES GLOBALES =====
@@ -19,48 +19,258 @@ const COLOR_PALETTE = {
 
 // ===== MÓDULO 1: VALIDACIÓN DE FORMULARIOS =====
 const FormValidator = {
+    // Formularios conectados con attach(): id -> esquema { fields, checks }
+    forms: {},
+
+    // Validaciones en curso por campo, para descartar respuestas asíncronas antiguas
+    runs: new WeakMap(),
+
+    emailPattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+
+    /**
+     * Reglas disponibles: (valor, parámetro, campo) => boolean.
+     * Salvo required, un campo vacío siempre pasa.
+     */
+    rules: {
+        required: (value, param, input) => input.type === 'checkbox' ? input.checked : value !== '',
+        minlength: (value, min) => value === '' || value.length >= min,
+        maxlength: (value, max) => value === '' || value.length <= max,
+        number: (value) => value === '' || !isNaN(Number(value)),
+        min: (value, min) => value === '' || Number(value) >= min,
+        max: (value, max) => value === '' || Number(value) <= max,
+        email: (value) => value === '' || FormValidator.emailPattern.test(value),
+        pattern: (value, pattern) => value === '' || FormValidator.testPattern(value, pattern),
+        match: (value, otherId) => value === FormValidator.getValue(document.getElementById(otherId))
+    },
+
+    // Mensajes por defecto de cada regla
+    messages: {
+        required: 'Este campo es obligatorio',
+        minlength: (min) => `Debe tener al menos ${min} caracteres`,
+        maxlength: (max) => `Debe tener como máximo ${max} caracteres`,
+        number: 'Debe ser un número',
+        min: (min) => `Debe ser mayor o igual que ${min}`,
+        max: (max) => `Debe ser menor o igual que ${max}`,
+        email: 'Correo electrónico inválido',
+        pattern: 'El formato no es válido',
+        match: 'Los campos no coinciden',
+        invalid: 'El valor no es válido'
+    },
+
+    /**
+     * Conecta un formulario: valida al salir de cada campo y revalida mientras se corrige.
+     * Las reglas salen de los atributos del campo (required, minlength, min, pattern,
+     * type, data-min/data-max, data-match) y de los mensajes data-msg-<regla>.
+     * @param {Object} schema - { fields: { idCampo: { rules, messages, validate } },
+     *                            checks: [{ field, dependsOn, test(valores), message }] }
+     *                          validate puede devolver una promesa (validación asíncrona)
+     */
+    attach(formId, schema = {}) {
+        const form = document.getElementById(formId);
+        if (!form) return;
+
+        this.forms[formId] = {
+            fields: schema.fields || {},
+            checks: schema.checks || []
+        };
+
+        // Los mensajes los pinta el motor en lugar del navegador
+        form.noValidate = true;
+
+        form.addEventListener('focusout', (e) => {
+            const input = e.target;
+            if (this.isField(input) && (input.required || this.getValue(input) !== '')) {
+                this.validateField(input);
+            }
+        });
+
+        const revalidate = (e) => {
+            const input = e.target;
+            if (!this.isField(input)) return;
+
+            if (input.getAttribute('aria-invalid') === 'true') {
+                this.validateField(input);
+            }
+
+            // Reglas entre campos: revalidar los que dependen de este
+            this.forms[formId].checks
+                .filter(check => (check.dependsOn || []).includes(input.id))
+                .forEach(check => {
+                    const target = document.getElementById(check.field);
+                    if (target && target.hasAttribute('aria-invalid')) {
+                        this.validateField(target);
+                    }
+                });
+        };
+
+        form.addEventListener('input', revalidate);
+        form.addEventListener('change', revalidate);
+    },
+
+    /**
+     * Indica si un elemento es un campo validable
+     */
+    isField(element) {
+        return ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName) &&
+            !['button', 'submit', 'reset', 'hidden'].includes(element.type) &&
+            !element.disabled;
+    },
+
     /**
-     * Valida un campo de texto (no vacío, longitud mínima/máxima)
+     * Comprueba el atributo pattern como el navegador: todo el valor debe
+     * coincidir y un patrón inválido se ignora (la regla pasa)
      */
-    validateText(input, minLength = 1, maxLength = 100) {
-        const value = input.value.trim();
-        const isValid = value.length >= minLength && value.length <= maxLength;
+    testPattern(value, pattern) {
+        let regex;
 
-        this.showValidation(input, isValid,
-            `Debe tener entre ${minLength} y ${maxLength} caracteres`);
+        try {
+            regex = new RegExp(`^(?:${pattern})$`);
+        } catch (error) {
+            return true;
+        }
+
+        return regex.test(value);
+    },
+
+    /**
+     * Valor de un campo, sin espacios sobrantes
+     */
+    getValue(input) {
+        if (!input) return '';
+        if (input.type === 'checkbox') return input.checked ? input.value : '';
+        return String(input.value).trim();
+    },
+
+    /**
+     * Valores de todos los campos de un formulario, por id
+     */
+    getValues(form) {
+        const values = {};
+        [...form.elements].filter(element => this.isField(element) && element.id).forEach(element => {
+            values[element.id] = this.getValue(element);
+        });
+        return values;
+    },
+
+    /**
+     * Reglas de un campo a partir de sus atributos y del esquema
+     */
+    getRules(input, fieldSchema = {}) {
+        const rules = {};
+        const attribute = (name) => input.getAttribute(name);
+
+        if (input.required) rules.required = true;
 
-        return isValid;
+        if (input.tagName !== 'SELECT' && input.type !== 'checkbox') {
+            // data-min/data-max son la forma antigua de indicar la longitud del texto
+            const minLength = attribute('minlength') ?? (input.type !== 'number' ? input.dataset.min : null);
+            const maxLength = attribute('maxlength') ?? (input.type !== 'number' ? input.dataset.max : null);
+
+            if (minLength != null) rules.minlength = parseInt(minLength);
+            if (maxLength != null) rules.maxlength = parseInt(maxLength);
+        }
+
+        if (input.type === 'number') {
+            rules.number = true;
+            if (attribute('min') != null) rules.min = Number(attribute('min'));
+            if (attribute('max') != null) rules.max = Number(attribute('max'));
+        }
+
+        if (input.type === 'email') rules.email = true;
+        if (attribute('pattern')) rules.pattern = attribute('pattern');
+        if (input.dataset.match) rules.match = input.dataset.match;
+
+        return { ...rules, ...(fieldSchema.rules || {}) };
+    },
+
+    /**
+     * Mensaje de error de una regla: esquema, luego data-msg-<regla>, luego el genérico
+     */
+    getMessage(input, rule, param, fieldSchema = {}) {
+        const datasetKey = 'msg' + rule.charAt(0).toUpperCase() + rule.slice(1);
+        const message = (fieldSchema.messages || {})[rule] || input.dataset[datasetKey] || this.messages[rule] || this.messages.invalid;
+
+        return typeof message === 'function' ? message(param) : message;
     },
 
     /**
-     * Valida un campo de email
+     * Devuelve el primer error de un campo, o null si es válido
      */
-    validateEmail(input) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        const isValid = emailRegex.test(input.value.trim());
+    async getError(input) {
+        const config = this.forms[input.form?.id] || { fields: {}, checks: [] };
+        const fieldSchema = config.fields[input.id] || {};
+        const value = this.getValue(input);
+        const rules = this.getRules(input, fieldSchema);
+
+        for (const [name, param] of Object.entries(rules)) {
+            if (param === false || !this.rules[name]) continue;
+            if (!this.rules[name](value, param, input)) {
+                return this.getMessage(input, name, param, fieldSchema);
+            }
+        }
+
+        for (const check of config.checks.filter(current => current.field === input.id)) {
+            if (!check.test(this.getValues(input.form))) {
+                return check.message;
+            }
+        }
 
-        this.showValidation(input, isValid, 'Correo electrónico inválido');
+        // Validadores propios (pueden ser asíncronos); no se aplican a campos vacíos
+        if (value !== '') {
+            for (const validate of [].concat(fieldSchema.validate || [])) {
+                const result = await validate(value, input);
+                if (result !== true) {
+                    return typeof result === 'string' ? result : this.messages.invalid;
+                }
+            }
+        }
 
-        return isValid;
+        return null;
     },
 
     /**
-     * Valida un campo numérico (rango)
+     * Valida un campo y muestra el resultado
+     * @returns {Promise<boolean>}
      */
-    validateNumber(input, min = 0, max = 100) {
-        const value = parseInt(input.value);
-        const isValid = !isNaN(value) && value >= min && value <= max;
+    async validateField(input) {
+        const run = (this.runs.get(input) || 0) + 1;
+        this.runs.set(input, run);
+        input.setAttribute('aria-busy', 'true');
+
+        const error = await this.getError(input);
+
+        // Una validación posterior del mismo campo ya ha terminado o está en curso
+        if (this.runs.get(input) !== run) {
+            return !error;
+        }
+
+        input.removeAttribute('aria-busy');
+        this.showValidation(input, !error, error);
 
-        this.showValidation(input, isValid, `Debe ser un número entre ${min} y ${max}`);
+        return !error;
+    },
+
+    /**
+     * Comprueba la longitud de un texto sin tocar el DOM
+     */
+    isValidText(text, minLength = 1, maxLength = 100) {
+        const value = String(text == null ? '' : text).trim();
+        return value.length >= minLength && value.length <= maxLength;
+    },
 
-        return isValid;
+    /**
+     * Comprueba que un valor sea un número dentro del rango sin tocar el DOM
+     */
+    isValidNumber(number, min = 0, max = 100) {
+        const value = parseInt(number);
+        return !isNaN(value) && value >= min && value <= max;
     },
 
     /**
-     * Muestra u oculta mensajes de validación
+     * Muestra u oculta el mensaje de validación de un campo (con atributos ARIA)
      */
     showValidation(input, isValid, errorMessage) {
-        const formGroup = input.closest('.form-group') || input.parentElement;
+        const formGroup = input.closest('.form-group, .contact-checkbox') || input.parentElement;
         let errorElement = formGroup.querySelector('.error-message');
 
         if (!errorElement) {
@@ -69,6 +279,20 @@ const FormValidator = {
             formGroup.appendChild(errorElement);
         }
 
+        if (!errorElement.id) {
+            errorElement.id = `${input.id || input.name}-error`;
+        }
+
+        errorElement.setAttribute('aria-live', 'polite');
+
+        // Enlazar el mensaje sin perder otras descripciones del campo
+        const describedBy = (input.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+        if (!describedBy.includes(errorElement.id)) {
+            input.setAttribute('aria-describedby', [...describedBy, errorElement.id].join(' '));
+        }
+
+        input.setAttribute('aria-invalid', String(!isValid));
+
         if (isValid) {
             input.classList.remove('error');
             errorElement.classList.remove('show');
@@ -81,33 +305,35 @@ const FormValidator = {
     },
 
     /**
-     * Valida un formulario completo
+     * Limpia los mensajes de validación de un formulario
      */
-    validateForm(formId) {
+    clearValidation(formId) {
         const form = document.getElementById(formId);
-        if (!form) return false;
+        if (!form) return;
 
-        const inputs = form.querySelectorAll('input[required], textarea[required]');
-        let allValid = true;
+        form.querySelectorAll('.error').forEach(input => input.classList.remove('error'));
+        form.querySelectorAll('[aria-invalid]').forEach(input => input.removeAttribute('aria-invalid'));
+        form.querySelectorAll('.error-message').forEach(errorElement => {
+            errorElement.classList.remove('show');
+            errorElement.textContent = '';
+        });
+    },
 
-        inputs.forEach(input => {
-            let isValid = false;
+    /**
+     * Valida un formulario completo y lleva el foco al primer campo con error
+     * @returns {Promise<boolean>}
+     */
+    async validateForm(formId) {
+        const form = document.getElementById(formId);
+        if (!form) return false;
 
-            switch (input.type) {
-                case 'email':
-                    isValid = this.validateEmail(input);
-                    break;
-                case 'number':
-                    isValid = this.validateNumber(input);
-                    break;
-                default:
-                    isValid = this.validateText(input, input.dataset.min || 1, input.dataset.max || 100);
-            }
+        const fields = [...form.elements].filter(element => this.isField(element));
+        const results = await Promise.all(fields.map(field => this.validateField(field)));
+        const firstInvalid = fields.find((field, index) => !results[index]);
 
-            if (!isValid) allValid = false;
-        });
+        firstInvalid?.focus();
 
-        return allValid;
+        return !firstInvalid;
     }
 };
 
@@ -194,6 +420,15 @@ const DOMManager = {
         }
     },
 
+    /**
+     * Escapa un texto para insertarlo de forma segura en HTML
+     */
+    escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text == null ? '' : String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    },
+
     /**
      * Agrega un listener de evento a un elemento
      */
@@ -210,6 +445,43 @@ const DynamicList = {
     items: [],
     containerId: 'lista-dinamica',
     emptyMessageId: 'lista-vacia-msg',
+    storageKey: 'dynamicListItems',
+    viewFilter: null,
+
+    // Versión y contenido de cada item tal como se leyó o guardó por última vez
+    synced: new Map(),
+    syncedData: null,
+
+    // Categorías disponibles con su color de borde
+    categories: {
+        trabajo: { label: 'Trabajo', color: 'var(--color-secondary-300)' },
+        estudio: { label: 'Estudio', color: 'var(--color-primary-600)' },
+        personal: { label: 'Personal', color: 'var(--color-secondary-600)' },
+        proyecto: { label: 'Proyecto', color: 'var(--color-primary-800)' },
+        otro: { label: 'Otro', color: 'var(--color-neutral-600)' }
+    },
+
+    // Prioridades disponibles
+    priorities: {
+        alta: 'Alta',
+        media: 'Media',
+        baja: 'Baja'
+    },
+
+    // Longitud máxima del texto de una sub-tarea
+    subtaskMaxLength: 100,
+
+    // Días de antelación con los que una fecha límite se considera próxima
+    upcomingDays: 7,
+
+    // Icono de cada estado de la fecha límite
+    dueIcons: {
+        overdue: '⚠️',
+        today: '⏰',
+        upcoming: '📅',
+        later: '🗓️',
+        done: '✅'
+    },
 
     /**
      * Inicializa la lista dinámica
@@ -222,129 +494,1211 @@ const DynamicList = {
         if (!this.container) return;
 
         // Cargar items del localStorage si existen
-        const savedItems = localStorage.getItem('dynamicListItems');
-        if (savedItems) {
-            this.items = JSON.parse(savedItems);
-            this.render();
+        this.reloadFromStorage();
+        this.render();
+        this.notifyChange('init');
+
+        // Recargar al momento los cambios hechos en otras pestañas
+        if (window.StorageSync) {
+            StorageSync.subscribe(this.storageKey, () => this.syncFromStorage());
+        }
+    },
+
+    /**
+     * Normaliza un item para que siempre tenga todos los campos del modelo
+     */
+    normalizeItem(item) {
+        const createdAt = item.createdAt || new Date().toISOString();
+        const subtasks = this.normalizeSubtasks(item.subtasks);
+
+        // Con sub-tareas el progreso se calcula y el valor escrito se guarda aparte
+        const manualValue = this.clampValue(item.manualValue ?? item.value);
+
+        const normalized = {
+            ...item,
+            title: item.title || 'Sin título',
+            description: item.description || '',
+            value: subtasks.length > 0 ? this.getSubtaskProgress(subtasks) : manualValue,
+            manualValue: manualValue,
+            subtasks: subtasks,
+            category: this.categories[item.category] ? item.category : 'otro',
+            priority: this.priorities[item.priority] ? item.priority : 'media',
+            date: item.date || createdAt.split('T')[0],
+            createdAt: createdAt,
+            version: Number.isInteger(item.version) && item.version > 0 ? item.version : 1
+        };
+
+        if (subtasks.length === 0) {
+            delete normalized.manualValue;
         }
+
+        return normalized;
+    },
+
+    /**
+     * Convierte un valor en entero entre 0 y 100 (50 si no es válido)
+     */
+    clampValue(value) {
+        const number = parseInt(value);
+        return isNaN(number) ? 50 : Math.min(100, Math.max(0, number));
+    },
+
+    /**
+     * Limpia la lista de sub-tareas de un item
+     */
+    normalizeSubtasks(subtasks) {
+        if (!Array.isArray(subtasks)) return [];
+
+        return subtasks
+            .filter(subtask => subtask && String(subtask.text || '').trim())
+            .map(subtask => ({
+                id: subtask.id || this.createSubtaskId(),
+                text: String(subtask.text).trim().slice(0, this.subtaskMaxLength),
+                done: Boolean(subtask.done)
+            }));
+    },
+
+    /**
+     * Porcentaje de sub-tareas completadas
+     */
+    getSubtaskProgress(subtasks) {
+        const done = subtasks.filter(subtask => subtask.done).length;
+        return Math.round((done / subtasks.length) * 100);
+    },
+
+    /**
+     * Genera un id para una sub-tarea
+     */
+    createSubtaskId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
     },
 
     /**
      * Agrega un nuevo item a la lista
      */
     addItem(itemData) {
-        const newItem = {
+        const newItem = this.normalizeItem({
             id: Date.now(),
             ...itemData,
             createdAt: new Date().toISOString()
+        });
+
+        this.insertItem(newItem, 0); // Agregar al inicio
+
+        CommandHistory.record({
+            label: `agregar «${newItem.title}»`,
+            undo: () => this.detachItem(newItem.id),
+            redo: () => this.insertItem(newItem, 0)
+        });
+
+        return newItem;
+    },
+
+    /**
+     * Busca un item por su id
+     */
+    getItem(itemId) {
+        return this.items.find(item => String(item.id) === String(itemId)) || null;
+    },
+
+    /**
+     * Actualiza un item existente.
+     * Relee localStorage antes de guardar para no pisar cambios de otra pestaña;
+     * devuelve null si el item ya no existe (conflicto de guardado).
+     * @param {string} label - Texto opcional para el historial de deshacer
+     */
+    updateItem(itemId, changes, label = null) {
+        this.reloadFromStorage();
+
+        const current = this.getItem(itemId);
+        if (!current) {
+            this.render();
+            this.notifyChange('sync');
+            return null;
+        }
+
+        const updatedItem = this.normalizeItem({
+            ...current,
+            ...changes,
+            id: current.id,
+            createdAt: current.createdAt,
+            updatedAt: new Date().toISOString()
+        });
+
+        this.replaceItem(updatedItem);
+
+        CommandHistory.record({
+            label: label || `editar «${current.title}»`,
+            undo: () => this.replaceItem(current),
+            redo: () => this.replaceItem(updatedItem)
+        });
+
+        return updatedItem;
+    },
+
+    /**
+     * Modifica las sub-tareas de un item a través de updateItem (con historial)
+     * @param {Function} transform - Recibe una copia de las sub-tareas y devuelve la nueva lista
+     */
+    updateSubtasks(itemId, label, transform) {
+        this.reloadFromStorage();
+
+        const item = this.getItem(itemId);
+        const subtasks = item ? transform(item.subtasks.map(subtask => ({ ...subtask }))) : [];
+
+        return this.updateItem(itemId, { subtasks: subtasks }, label);
+    },
+
+    /**
+     * Añade una sub-tarea al final de la lista del item
+     */
+    addSubtask(itemId, text) {
+        const cleanText = String(text || '').trim();
+        if (!cleanText) return null;
+
+        return this.updateSubtasks(itemId, `añadir la sub-tarea «${cleanText}»`, subtasks => [
+            ...subtasks,
+            { id: this.createSubtaskId(), text: cleanText, done: false }
+        ]);
+    },
+
+    /**
+     * Marca o desmarca una sub-tarea
+     */
+    toggleSubtask(itemId, subtaskId) {
+        return this.updateSubtasks(itemId, 'marcar una sub-tarea', subtasks => subtasks.map(subtask =>
+            subtask.id === subtaskId ? { ...subtask, done: !subtask.done } : subtask
+        ));
+    },
+
+    /**
+     * Cambia una sub-tarea de posición
+     * @param {number} offset - -1 para subirla, 1 para bajarla
+     */
+    moveSubtask(itemId, subtaskId, offset) {
+        return this.updateSubtasks(itemId, 'reordenar las sub-tareas', subtasks => {
+            const index = subtasks.findIndex(subtask => subtask.id === subtaskId);
+            const target = index + offset;
+
+            if (index === -1 || target < 0 || target >= subtasks.length) return subtasks;
+
+            const [moved] = subtasks.splice(index, 1);
+            subtasks.splice(target, 0, moved);
+            return subtasks;
+        });
+    },
+
+    /**
+     * Elimina una sub-tarea
+     */
+    removeSubtask(itemId, subtaskId) {
+        return this.updateSubtasks(itemId, 'eliminar una sub-tarea', subtasks =>
+            subtasks.filter(subtask => subtask.id !== subtaskId)
+        );
+    },
+
+    /**
+     * Elimina un item de la lista
+     */
+    removeItem(itemId) {
+        const removed = this.getItem(itemId);
+        if (!removed) return null;
+
+        const index = this.items.indexOf(removed);
+        this.detachItem(removed.id);
+
+        CommandHistory.record({
+            label: `eliminar «${removed.title}»`,
+            undo: () => this.insertItem(removed, index),
+            redo: () => this.detachItem(removed.id)
+        });
+
+        return removed;
+    },
+
+    /**
+     * Inserta un item en una posición (sin registrarlo en el historial)
+     */
+    insertItem(item, index = 0) {
+        this.items = this.items.filter(other => String(other.id) !== String(item.id));
+        this.items.splice(Math.min(index, this.items.length), 0, item);
+        this.commit('add', item);
+    },
+
+    /**
+     * Quita un item de la lista (sin registrarlo en el historial)
+     */
+    detachItem(itemId) {
+        const item = this.getItem(itemId);
+        if (!item) return;
+
+        this.items = this.items.filter(other => other !== item);
+        this.commit('remove', item);
+    },
+
+    /**
+     * Reemplaza un item por otra versión del mismo (sin registrarlo en el historial)
+     */
+    replaceItem(newItem) {
+        this.items = this.items.map(item => String(item.id) === String(newItem.id) ? newItem : item);
+        this.commit('update', newItem);
+    },
+
+    /**
+     * Sustituye la lista completa (sin registrarlo en el historial)
+     */
+    setItems(items, action = 'restore') {
+        this.items = items.slice();
+        this.commit(action);
+    },
+
+    /**
+     * Devuelve el estado (alto/medio/bajo) correspondiente a un valor
+     */
+    getStatus(value) {
+        if (value >= 70) return 'high';
+        if (value < 40) return 'low';
+        return 'medium';
+    },
+
+    /**
+     * Convierte una fecha YYYY-MM-DD en fecha local
+     * (new Date('YYYY-MM-DD') la interpretaría en UTC)
+     */
+    parseDate(date) {
+        const [year, month, day] = String(date).split('-').map(Number);
+        const parsed = new Date(year, month - 1, day);
+        // new Date() lleva los años 0-99 a 1900-1999
+        if (year >= 0 && year < 100 && !isNaN(parsed)) parsed.setFullYear(year);
+        return parsed;
+    },
+
+    /**
+     * Convierte un Date en fecha local YYYY-MM-DD
+     */
+    toDateKey(date) {
+        const pad = (number) => String(number).padStart(2, '0');
+        return `${String(date.getFullYear()).padStart(4, '0')}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    /**
+     * Días que faltan hasta una fecha (negativo si ya pasó)
+     */
+    getDaysUntil(date, now = new Date()) {
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        // Se redondea para no contar de más en los cambios de horario
+        return Math.round((this.parseDate(date) - today) / (1000 * 60 * 60 * 24));
+    },
+
+    /**
+     * Calcula el estado de la fecha límite de un item
+     * @returns {Object} { state: 'overdue'|'today'|'upcoming'|'later'|'done', days, label }
+     */
+    getDueInfo(item, now = new Date()) {
+        const days = this.getDaysUntil(item.date, now);
+        let state = 'later';
+
+        // Un item al 100% ya no vence
+        if (item.value >= 100) state = 'done';
+        else if (days < 0) state = 'overdue';
+        else if (days === 0) state = 'today';
+        else if (days <= this.upcomingDays) state = 'upcoming';
+
+        return {
+            state: state,
+            days: days,
+            label: state === 'done' ? 'Completado' : this.formatDueDate(item.date, now)
+        };
+    },
+
+    /**
+     * Formatea la fecha límite de un item de forma relativa
+     */
+    formatDueDate(date, now = new Date()) {
+        if (!date) return 'Hoy';
+
+        const days = this.getDaysUntil(date, now);
+
+        if (days < -1) return `Venció hace ${-days} días`;
+        if (days === -1) return 'Venció ayer';
+        if (days === 0) return 'Hoy';
+        if (days === 1) return 'Mañana';
+        if (days <= this.upcomingDays) return `En ${days} días`;
+
+        return this.parseDate(date).toLocaleDateString('es-ES', {
+            day: 'numeric',
+            month: 'short'
+        });
+    },
+
+    /**
+     * Calcula las estadísticas a partir de los datos guardados
+     */
+    getStats() {
+        const total = this.items.length;
+        const sumValues = this.items.reduce((sum, item) => sum + item.value, 0);
+        const byCategory = {};
+        const byPriority = {};
+
+        Object.keys(this.categories).forEach(key => { byCategory[key] = 0; });
+        Object.keys(this.priorities).forEach(key => { byPriority[key] = 0; });
+
+        this.items.forEach(item => {
+            byCategory[item.category]++;
+            byPriority[item.priority]++;
+        });
+
+        return {
+            total: total,
+            average: total > 0 ? Math.round(sumValues / total) : 0,
+            byCategory: byCategory,
+            byPriority: byPriority
         };
+    },
+
+    /**
+     * Establece la función que decide qué items se muestran y en qué orden
+     * @param {Function|null} viewFilter - Recibe los items y devuelve la vista
+     */
+    setViewFilter(viewFilter) {
+        this.viewFilter = viewFilter;
+        this.render();
+    },
+
+    /**
+     * Devuelve los items visibles según la vista activa
+     */
+    getVisibleItems() {
+        return this.viewFilter ? this.viewFilter(this.items) : this.items;
+    },
+
+    /**
+     * Renderiza los items visibles en la lista
+     */
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+
+        if (this.items.length === 0) {
+            this.showEmptyMessage();
+            return;
+        }
+
+        this.hideEmptyMessage();
+
+        const visibleItems = this.getVisibleItems();
+
+        if (visibleItems.length === 0) {
+            this.container.appendChild(DOMManager.createElement('p', {
+                className: 'no-results text-neutral-500 dark:text-neutral-400'
+            }, 'Ningún elemento coincide con la búsqueda y los filtros actuales.'));
+            return;
+        }
+
+        visibleItems.forEach(item => {
+            const itemElement = this.createItemElement(item);
+            this.container.appendChild(itemElement);
+        });
+    },
+
+    /**
+     * Crea el elemento HTML para un item
+     */
+    createItemElement(item) {
+        const status = this.getStatus(item.value);
+        const due = this.getDueInfo(item);
+        const category = this.categories[item.category];
+        const escape = DOMManager.escapeHTML;
+
+        const card = DOMManager.createElement('div', {
+            className: ItemEditor.editingId === item.id ? 'card dynamic-item editing' : 'card dynamic-item',
+            dataset: {
+                id: item.id,
+                category: item.category,
+                priority: item.priority,
+                due: due.state
+            }
+        });
+
+        card.innerHTML = `
+            <div class="item-header" style="border-left: 4px solid ${category.color}; padding-left: 1rem;">
+                <h3 class="item-title">${escape(item.title)}</h3>
+                <div class="flex justify-between items-center mt-2">
+                    <span class="item-date due-badge due-${due.state}" title="Fecha límite: ${escape(item.date)}">
+                        ${this.dueIcons[due.state]} ${due.label}
+                    </span>
+                    <span class="status-badge status-${status}">
+                        ${this.priorities[item.priority]}
+                    </span>
+                </div>
+            </div>
+            <div class="item-content mt-4">
+                <p class="text-neutral-700 dark:text-neutral-300 text-sm mb-3">
+                    ${escape(item.description) || 'Sin descripción'}
+                </p>
+
+                <div class="mb-3">
+                    <div class="flex justify-between text-sm mb-1">
+                        <span class="text-neutral-600 dark:text-neutral-400">
+                            Progreso${item.subtasks.length > 0 ? ' (sub-tareas)' : ''}:
+                        </span>
+                        <span class="font-bold">${item.value}%</span>
+                    </div>
+                    <div class="progress-bar">
+                        <div class="progress-fill progress-${status}" style="width: ${item.value}%"></div>
+                    </div>
+                </div>
+
+                ${this.renderSubtasks(item)}
+
+                <div class="flex justify-between text-sm text-neutral-600 dark:text-neutral-400">
+                    <div>
+                        <span class="font-medium">Categoría:</span>
+                        ${category.label}
+                    </div>
+                    <div>
+                        <span class="font-medium">ID:</span>
+                        ${escape(String(item.id).slice(-6))}
+                    </div>
+                </div>
+            </div>
+            <div class="item-actions">
+                <button class="btn btn-outline btn-sm delete-btn" data-id="${escape(item.id)}">
+                    ❌ Eliminar
+                </button>
+                <button class="btn btn-outline btn-sm edit-btn" data-id="${escape(item.id)}">
+                    ✏️ Editar
+                </button>
+            </div>
+        `;
+
+        // Agregar listener al botón de eliminar (se puede deshacer desde la notificación)
+        const deleteBtn = card.querySelector('.delete-btn');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => {
+                this.removeItem(item.id);
+
+                const command = CommandHistory.peek();
+                App.showNotification('🗑️ Elemento eliminado', 'info', {
+                    label: '↶ Deshacer',
+                    handler: () => CommandHistory.undo(command)
+                });
+            });
+        }
+
+        // Agregar listener al botón de editar
+        const editBtn = card.querySelector('.edit-btn');
+        if (editBtn) {
+            editBtn.addEventListener('click', () => ItemEditor.startEdit(item.id));
+        }
+
+        this.setupSubtaskListeners(card, item);
+
+        return card;
+    },
+
+    /**
+     * HTML de la lista de sub-tareas de un item
+     */
+    renderSubtasks(item) {
+        const escape = DOMManager.escapeHTML;
+        const done = item.subtasks.filter(subtask => subtask.done).length;
+        const last = item.subtasks.length - 1;
+
+        const rows = item.subtasks.map((subtask, index) => `
+            <li class="subtask${subtask.done ? ' done' : ''}" data-subtask-id="${escape(subtask.id)}">
+                <label class="subtask-label">
+                    <input type="checkbox" class="subtask-check" ${subtask.done ? 'checked' : ''}>
+                    <span class="subtask-text">${escape(subtask.text)}</span>
+                </label>
+                <button type="button" class="subtask-btn" data-subtask-action="up"
+                    aria-label="Subir sub-tarea" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" class="subtask-btn" data-subtask-action="down"
+                    aria-label="Bajar sub-tarea" ${index === last ? 'disabled' : ''}>↓</button>
+                <button type="button" class="subtask-btn" data-subtask-action="delete"
+                    aria-label="Eliminar sub-tarea">✕</button>
+            </li>
+        `).join('');
+
+        return `
+            <div class="subtasks mb-3">
+                <div class="text-sm text-neutral-600 dark:text-neutral-400 mb-1">
+                    Sub-tareas${item.subtasks.length > 0 ? `: ${done}/${item.subtasks.length}` : ''}
+                </div>
+                <ul class="subtask-list">${rows}</ul>
+                <form class="subtask-form">
+                    <input type="text" class="form-input subtask-input" maxlength="${this.subtaskMaxLength}"
+                        placeholder="Nueva sub-tarea..." aria-label="Nueva sub-tarea para «${escape(item.title)}»">
+                    <button type="submit" class="btn btn-outline btn-sm" aria-label="Añadir sub-tarea">➕</button>
+                </form>
+            </div>
+        `;
+    },
+
+    /**
+     * Conecta los controles de sub-tareas de una tarjeta.
+     * Cada cambio repinta la lista, así que el foco se devuelve al control usado.
+     */
+    setupSubtaskListeners(card, item) {
+        const refocus = (selector) => {
+            this.container?.querySelector(`.dynamic-item[data-id="${CSS.escape(String(item.id))}"] ${selector}`)?.focus();
+        };
+
+        card.querySelector('.subtask-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = e.target.querySelector('.subtask-input');
+
+            if (this.addSubtask(item.id, input.value)) {
+                refocus('.subtask-input');
+            }
+        });
+
+        card.querySelector('.subtask-list')?.addEventListener('change', (e) => {
+            const row = e.target.closest('[data-subtask-id]');
+            if (row && e.target.classList.contains('subtask-check')) {
+                this.toggleSubtask(item.id, row.dataset.subtaskId);
+                refocus(`[data-subtask-id="${row.dataset.subtaskId}"] .subtask-check`);
+            }
+        });
+
+        card.querySelector('.subtask-list')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-subtask-action]');
+            if (!button) return;
+
+            const subtaskId = button.closest('[data-subtask-id]').dataset.subtaskId;
+            const action = button.dataset.subtaskAction;
+
+            if (action === 'delete') {
+                this.removeSubtask(item.id, subtaskId);
+                refocus('.subtask-input');
+            } else {
+                this.moveSubtask(item.id, subtaskId, action === 'up' ? -1 : 1);
+                refocus(`[data-subtask-id="${subtaskId}"] [data-subtask-action="${action}"]:not([disabled])`);
+            }
+        });
+    },
+
+    /**
+     * Muestra el mensaje de lista vacía
+     */
+    showEmptyMessage() {
+        if (this.emptyMessage) {
+            this.emptyMessage.classList.remove('hidden');
+        }
+    },
+
+    /**
+     * Oculta el mensaje de lista vacía
+     */
+    hideEmptyMessage() {
+        if (this.emptyMessage) {
+            this.emptyMessage.classList.add('hidden');
+        }
+    },
+
+    /**
+     * Carga los items guardados (AppStorage aparta la lista si está dañada)
+     */
+    loadFromLocalStorage() {
+        return AppStorage.get(this.storageKey, [])
+            .filter(item => item && typeof item === 'object')
+            .map(item => this.normalizeItem(item));
+    },
+
+    /**
+     * Relee la lista de localStorage y la toma como referencia para los próximos guardados
+     */
+    reloadFromStorage() {
+        this.items = this.loadFromLocalStorage();
+        this.markSynced(AppStorage.getRaw(this.storageKey));
+    },
+
+    /**
+     * Otra pestaña cambió la lista: se recarga y se avisa con la acción 'sync'
+     */
+    syncFromStorage() {
+        if (AppStorage.getRaw(this.storageKey) === this.syncedData) return;
+
+        this.reloadFromStorage();
+        this.render();
+        this.notifyChange('sync');
+    },
+
+    /**
+     * Guarda los items, combinados antes con lo que haya guardado otra pestaña.
+     * Si no hay espacio los cambios siguen en memoria y se reintentan en el siguiente guardado.
+     */
+    saveToLocalStorage() {
+        const conflicts = this.mergeWithStored();
+
+        if (AppStorage.set(this.storageKey, this.items)) {
+            this.markSynced(AppStorage.getRaw(this.storageKey));
+        }
+
+        conflicts.forEach(conflict => this.reportConflict(conflict));
+    },
+
+    /**
+     * Recuerda la versión y el contenido de cada item tal como quedaron en localStorage
+     */
+    markSynced(data) {
+        this.syncedData = data;
+        this.synced = new Map(this.items.map(item => [
+            String(item.id),
+            { version: item.version, content: this.getContent(item) }
+        ]));
+    },
+
+    /**
+     * Contenido de un item sin su versión, para saber si cambió
+     */
+    getContent(item) {
+        const { version, ...content } = item;
+        return JSON.stringify(content);
+    },
+
+    /**
+     * Combina la lista de esta pestaña con la guardada.
+     * Cada item lleva una versión que sube con cada cambio: si otra pestaña guardó una
+     * versión nueva de un item que aquí también se modificó o eliminó, se conserva la
+     * suya y se devuelve como conflicto.
+     * @returns {Array<{ local: Object|null, remote: Object }>}
+     */
+    mergeWithStored() {
+        const stored = this.loadFromLocalStorage();
+        const remoteItems = new Map(stored.map(item => [String(item.id), item]));
+        const localIds = new Set(this.items.map(item => String(item.id)));
+        const conflicts = [];
+        const merged = [];
+
+        this.items.forEach(item => {
+            const id = String(item.id);
+            const synced = this.synced.get(id);
+            const remote = remoteItems.get(id);
+
+            // Sin cambios en esta pestaña: vale lo guardado (si otra pestaña lo eliminó, desaparece)
+            if (synced && synced.content === this.getContent(item)) {
+                if (remote) merged.push(remote);
+                return;
+            }
+
+            if (synced && remote && remote.version !== synced.version) {
+                conflicts.push({ local: item, remote: remote });
+                merged.push(remote);
+                return;
+            }
+
+            const baseVersion = remote ? remote.version : (synced ? synced.version : 0);
+            merged.push({ ...item, version: Math.max(item.version, baseVersion + 1) });
+        });
+
+        // Eliminados aquí pero modificados en otra pestaña: se conservan
+        this.synced.forEach((synced, id) => {
+            const remote = remoteItems.get(id);
+            if (localIds.has(id) || !remote || remote.version === synced.version) return;
+
+            conflicts.push({ local: null, remote: remote });
+            merged.splice(Math.min(stored.indexOf(remote), merged.length), 0, remote);
+        });
+
+        // Añadidos en otra pestaña desde la última lectura
+        stored.forEach((remote, index) => {
+            const id = String(remote.id);
+            if (!this.synced.has(id) && !localIds.has(id)) {
+                merged.splice(Math.min(index, merged.length), 0, remote);
+            }
+        });
+
+        this.items = merged;
+        return conflicts;
+    },
+
+    /**
+     * Avisa de un conflicto de guardado y ofrece imponer el cambio de esta pestaña
+     */
+    reportConflict({ local, remote }) {
+        const title = DOMManager.escapeHTML(remote.title);
+
+        if (local) {
+            App.showNotification(`⚠️ «${title}» se modificó en otra pestaña: se conserva esa versión`, 'error', {
+                label: 'Usar la mía',
+                handler: () => this.updateItem(remote.id, local, `recuperar «${local.title}»`)
+            });
+        } else {
+            App.showNotification(`⚠️ «${title}» se modificó en otra pestaña y no se ha eliminado`, 'error', {
+                label: 'Eliminar',
+                handler: () => this.removeItem(remote.id)
+            });
+        }
+    },
+
+    /**
+     * Guarda, vuelve a renderizar y notifica un cambio
+     */
+    commit(action, item = null) {
+        this.saveToLocalStorage();
+        this.render();
+        this.notifyChange(action, item);
+    },
+
+    /**
+     * Notifica a la página que la lista ha cambiado
+     */
+    notifyChange(action, item = null) {
+        document.dispatchEvent(new CustomEvent('dynamicListChanged', {
+            detail: { action: action, item: item, items: this.items }
+        }));
+    },
+
+    /**
+     * Importa items combinándolos con la lista actual o reemplazándola.
+     * Al combinar, los items con un id existente sustituyen al original.
+     */
+    importItems(importedItems, mode = 'merge') {
+        const snapshot = this.items.slice();
+        const existing = new Map(mode === 'merge' ? snapshot.map(item => [String(item.id), item]) : []);
+        const importedIds = new Set();
+        const baseId = Date.now();
+        const replacements = new Map();
+        const newItems = [];
+
+        importedItems.forEach((data, index) => {
+            let item = this.normalizeItem({ ...data, id: data.id || baseId + index });
+            const current = existing.get(String(item.id));
+
+            // Los campos que no trae la fila se conservan del item existente
+            if (current) {
+                replacements.set(String(item.id), this.normalizeItem({ ...current, ...data, id: current.id }));
+                return;
+            }
+
+            // Ids repetidos dentro del propio archivo reciben uno nuevo
+            if (importedIds.has(String(item.id))) {
+                item = { ...item, id: baseId + importedItems.length + index };
+            }
+
+            importedIds.add(String(item.id));
+            newItems.push(item);
+        });
+
+        const merged = mode === 'merge'
+            ? snapshot.map(item => replacements.get(String(item.id)) || item)
+            : [];
+
+        this.setItems([...newItems, ...merged], 'import');
+
+        CommandHistory.record({
+            label: `importar ${importedItems.length} elementos`,
+            undo: () => this.setItems(snapshot, 'restore'),
+            redo: () => this.setItems([...newItems, ...merged], 'import')
+        });
+
+        return { added: newItems.length, replaced: replacements.size };
+    },
+
+    /**
+     * Limpia toda la lista
+     */
+    clearAll() {
+        const snapshot = this.items.slice();
+
+        this.setItems([], 'clear');
+
+        if (snapshot.length > 0) {
+            CommandHistory.record({
+                label: 'limpiar la lista',
+                undo: () => this.setItems(snapshot, 'restore'),
+                redo: () => this.setItems([], 'clear')
+            });
+        }
+    }
+};
+
+// ===== MÓDULO 3.2: HISTORIAL DE CAMBIOS (DESHACER/REHACER) =====
+const CommandHistory = {
+    undoStack: [],
+    redoStack: [],
+    limit: 50,
+
+    /**
+     * Inicializa los botones y atajos de teclado del historial
+     */
+    init() {
+        DOMManager.addListener('undo-btn', 'click', () => this.undoWithFeedback());
+        DOMManager.addListener('redo-btn', 'click', () => this.redoWithFeedback());
+
+        // Ctrl+Z deshace, Ctrl+Shift+Z (o Ctrl+Y) rehace
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+            // Dentro de un campo de texto se respeta el deshacer nativo
+            if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+            const key = e.key.toLowerCase();
+
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undoWithFeedback();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redoWithFeedback();
+            }
+        });
+
+        this.notifyChange();
+    },
+
+    /**
+     * Registra un comando ya ejecutado ({ label, undo, redo })
+     */
+    record(command) {
+        this.undoStack.push(command);
+
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+
+        this.redoStack = [];
+        this.notifyChange();
+
+        return command;
+    },
+
+    /**
+     * Devuelve el último comando registrado
+     */
+    peek() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    },
+
+    /**
+     * Deshace el último comando. Si se indica un comando concreto,
+     * solo se deshace cuando sigue siendo el último.
+     */
+    undo(expected = null) {
+        const command = this.peek();
+        if (!command || (expected && command !== expected)) return null;
+
+        this.undoStack.pop();
+        command.undo();
+        this.redoStack.push(command);
+        this.notifyChange();
+
+        return command;
+    },
+
+    /**
+     * Rehace el último comando deshecho
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        command.redo();
+        this.undoStack.push(command);
+        this.notifyChange();
+
+        return command;
+    },
+
+    /**
+     * Deshace y muestra una notificación con el resultado
+     */
+    undoWithFeedback() {
+        const command = this.undo();
+        App.showNotification(command ? `↶ Deshecho: ${DOMManager.escapeHTML(command.label)}` : 'Nada que deshacer', 'info');
+    },
+
+    /**
+     * Rehace y muestra una notificación con el resultado
+     */
+    redoWithFeedback() {
+        const command = this.redo();
+        App.showNotification(command ? `↷ Rehecho: ${DOMManager.escapeHTML(command.label)}` : 'Nada que rehacer', 'info');
+    },
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    },
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    },
+
+    /**
+     * Vacía el historial
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notifyChange();
+    },
+
+    /**
+     * Actualiza los botones y notifica a la página
+     */
+    notifyChange() {
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+
+        if (undoBtn) {
+            undoBtn.disabled = !this.canUndo();
+            undoBtn.title = this.canUndo() ? `Deshacer ${this.peek().label} (Ctrl+Z)` : 'Nada que deshacer';
+        }
+
+        if (redoBtn) {
+            const next = this.redoStack[this.redoStack.length - 1];
+            redoBtn.disabled = !this.canRedo();
+            redoBtn.title = next ? `Rehacer ${next.label} (Ctrl+Shift+Z)` : 'Nada que rehacer';
+        }
+
+        document.dispatchEvent(new CustomEvent('historyChanged', {
+            detail: { canUndo: this.canUndo(), canRedo: this.canRedo() }
+        }));
+    }
+};
+
+// ===== MÓDULO 3.1: EDICIÓN DE ELEMENTOS =====
+const ItemEditor = {
+    editingId: null,
+    editingVersion: null,
+    notifiedVersion: null,
+    formId: 'data-form',
+
+    // Campos del formulario asociados a cada propiedad del item
+    fields: {
+        title: 'item-title',
+        value: 'item-value',
+        description: 'item-description',
+        category: 'item-category',
+        priority: 'item-priority',
+        date: 'item-date'
+    },
+
+    /**
+     * Inicializa el editor sobre el formulario de la lista
+     */
+    init(formId = 'data-form') {
+        this.formId = formId;
+        this.form = document.getElementById(formId);
+        if (!this.form) return;
+
+        this.formTitle = document.getElementById('form-title');
+        this.formTitleText = this.formTitle?.textContent.trim();
+        this.submitButton = this.form.querySelector('button[type="submit"]');
+        this.submitLabel = this.submitButton?.innerHTML;
+
+        // Botón para cancelar la edición
+        this.cancelButton = DOMManager.createElement('button', {
+            type: 'button',
+            id: 'cancel-edit-btn',
+            className: 'btn btn-outline w-full mt-4 hidden'
+        }, '✖️ Cancelar Edición');
+
+        if (this.submitButton) {
+            this.submitButton.insertAdjacentElement('afterend', this.cancelButton);
+        }
 
-        this.items.unshift(newItem); // Agregar al inicio
-        this.saveToLocalStorage();
-        this.render();
+        this.cancelButton.addEventListener('click', () => this.cancel());
 
-        return newItem;
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isEditing()) {
+                this.cancel();
+            }
+        });
+
+        // Salir del modo edición si el item desaparece de la lista
+        document.addEventListener('dynamicListChanged', (e) => {
+            if (!this.isEditing()) return;
+
+            const item = DynamicList.getItem(this.editingId);
+
+            if (item) {
+                this.highlightCard();
+                this.updateValueField(item);
+                this.trackVersion(item, e.detail);
+            } else if (e.detail.action === 'sync') {
+                this.handleConflict();
+            } else {
+                this.finish(false);
+                App.showNotification('⚠️ El elemento en edición fue eliminado', 'error');
+            }
+        });
     },
 
     /**
-     * Elimina un item de la lista
+     * Indica si hay un item en edición
      */
-    removeItem(itemId) {
-        this.items = this.items.filter(item => item.id !== itemId);
-        this.saveToLocalStorage();
-        this.render();
+    isEditing() {
+        return this.editingId !== null;
     },
 
     /**
-     * Renderiza todos los items en la lista
+     * Carga un item en el formulario para editarlo
      */
-    render() {
-        if (!this.container) return;
+    startEdit(itemId) {
+        const item = DynamicList.getItem(itemId);
+        if (!item || !this.form) return;
+
+        this.editingId = item.id;
+        this.editingVersion = item.version;
+        FormValidator.clearValidation(this.formId);
+
+        Object.keys(this.fields).forEach(key => {
+            const input = document.getElementById(this.fields[key]);
+            if (input) {
+                input.value = item[key];
+                input.dispatchEvent(new Event('input'));
+            }
+        });
 
-        this.container.innerHTML = '';
+        if (this.formTitle) {
+            this.formTitle.textContent = 'Editar Registro';
+        }
 
-        if (this.items.length === 0) {
-            this.showEmptyMessage();
-            return;
+        if (this.submitButton) {
+            this.submitButton.innerHTML = '💾 Guardar Cambios';
         }
 
-        this.hideEmptyMessage();
+        this.cancelButton.classList.remove('hidden');
+        this.highlightCard();
+        this.updateValueField(item);
 
-        this.items.forEach(item => {
-            const itemElement = this.createItemElement(item);
-            this.container.appendChild(itemElement);
-        });
+        this.form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        document.getElementById(this.fields.title)?.focus();
     },
 
     /**
-     * Crea el elemento HTML para un item
+     * Guarda los cambios del item en edición
      */
-    createItemElement(item) {
-        const card = DOMManager.createElement('div', {
-            className: 'card dynamic-item',
-            dataset: { id: item.id }
-        });
-
-        const colorIndex = Math.floor(Math.random() * 5);
-        const bgColor = COLOR_PALETTE.primary[colorIndex];
+    save(changes) {
+        // Recoger antes cualquier cambio de otra pestaña que aún no haya llegado
+        DynamicList.syncFromStorage();
+        if (!this.isEditing()) return null;
+
+        const current = DynamicList.getItem(this.editingId);
+        if (current && current.version !== this.editingVersion) {
+            this.editingVersion = current.version;
+            App.showNotification(
+                '⚠️ Otra pestaña modificó este elemento mientras lo editabas. ' +
+                'Revisa los datos y vuelve a guardar para sobrescribirlo.',
+                'error'
+            );
+            return null;
+        }
 
-        card.innerHTML = `
-            <div class="item-header" style="border-left: 4px solid ${bgColor}; padding-left: 1rem;">
-                <h3 class="item-title">${item.title || 'Sin título'}</h3>
-                <span class="item-date">${new Date(item.createdAt).toLocaleDateString()}</span>
-            </div>
-            <div class="item-content">
-                <p>${item.description || 'Sin descripción'}</p>
-                ${item.value ? `<div class="item-value">Valor: <strong>${item.value}</strong></div>` : ''}
-            </div>
-            <div class="item-actions">
-                <button class="btn btn-outline btn-sm delete-btn" data-id="${item.id}">
-                    ❌ Eliminar
-                </button>
-            </div>
-        `;
+        const updatedItem = DynamicList.updateItem(this.editingId, changes);
 
-        // Agregar listener al botón de eliminar
-        const deleteBtn = card.querySelector('.delete-btn');
-        if (deleteBtn) {
-            deleteBtn.addEventListener('click', () => this.removeItem(item.id));
+        if (!updatedItem) {
+            // Normalmente ya lo resolvió el aviso 'sync' de DynamicList
+            if (this.isEditing()) {
+                this.handleConflict();
+            }
+            return null;
         }
 
-        return card;
+        this.finish();
+        App.showNotification('✅ Elemento actualizado correctamente', 'success');
+
+        return updatedItem;
     },
 
     /**
-     * Muestra el mensaje de lista vacía
+     * Sigue la versión del item en edición: los cambios hechos en esta pestaña se aceptan;
+     * los de otra pestaña se avisan y el siguiente guardado se detiene para revisarlos
      */
-    showEmptyMessage() {
-        if (this.emptyMessage) {
-            this.emptyMessage.classList.remove('hidden');
+    trackVersion(item, { action, item: changed }) {
+        if (item.version === this.editingVersion) return;
+
+        if (action !== 'sync' && changed && String(changed.id) === String(item.id)) {
+            this.editingVersion = item.version;
+        } else if (action === 'sync' && item.version !== this.notifiedVersion) {
+            this.notifiedVersion = item.version;
+            App.showNotification('✏️ Otra pestaña acaba de modificar el elemento que estás editando', 'info');
         }
     },
 
     /**
-     * Oculta el mensaje de lista vacía
+     * Conflicto de guardado: el item fue eliminado en otra pestaña.
+     * Se conservan los datos del formulario para poder guardarlos como nuevo item.
      */
-    hideEmptyMessage() {
-        if (this.emptyMessage) {
-            this.emptyMessage.classList.add('hidden');
+    handleConflict() {
+        this.finish(false);
+        App.showNotification(
+            '⚠️ No se pudo guardar: el elemento fue eliminado en otra pestaña. ' +
+            'Pulsa «Agregar» para guardarlo como nuevo.',
+            'error'
+        );
+    },
+
+    /**
+     * Cancela la edición en curso
+     */
+    cancel() {
+        if (!this.isEditing()) return;
+
+        this.finish();
+        App.showNotification('✏️ Edición cancelada', 'info');
+    },
+
+    /**
+     * Sale del modo edición y restaura el formulario
+     */
+    finish(resetForm = true) {
+        this.editingId = null;
+        this.editingVersion = null;
+
+        if (resetForm) {
+            this.form.reset();
+        }
+
+        FormValidator.clearValidation(this.formId);
+
+        if (this.formTitle) {
+            this.formTitle.textContent = this.formTitleText;
+        }
+
+        if (this.submitButton) {
+            this.submitButton.innerHTML = this.submitLabel;
         }
+
+        this.cancelButton.classList.add('hidden');
+        this.highlightCard();
+        this.updateValueField(null);
     },
 
     /**
-     * Guarda los items en localStorage
+     * Si el item tiene sub-tareas el valor se calcula: el campo pasa a solo lectura
      */
-    saveToLocalStorage() {
-        localStorage.setItem('dynamicListItems', JSON.stringify(this.items));
+    updateValueField(item) {
+        const input = document.getElementById(this.fields.value);
+        if (!input) return;
+
+        const computed = Boolean(item && item.subtasks.length > 0);
+        input.readOnly = computed;
+
+        if (computed) {
+            input.value = item.value;
+        }
+
+        document.getElementById('item-value-hint')?.classList.toggle('hidden', !computed);
     },
 
     /**
-     * Limpia toda la lista
+     * Resalta la tarjeta del item en edición
      */
-    clearAll() {
-        this.items = [];
-        this.saveToLocalStorage();
-        this.render();
+    highlightCard() {
+        document.querySelectorAll('.dynamic-item.editing').forEach(card => {
+            card.classList.remove('editing');
+        });
+
+        if (!this.isEditing()) return;
+
+        const card = document.querySelector(`.dynamic-item[data-id="${CSS.escape(String(this.editingId))}"]`);
+        if (card) {
+            card.classList.add('editing');
+        }
     }
 };
 
@@ -749,137 +2103,217 @@ const InteractiveGallery = {
     }
 };
 
-// ===== MÓDULO 6: MODO OSCURO/CLARO =====
-const ThemeManager = {
-    isDarkMode: false,
+// ===== MÓDULO 6: UTILIDADES DE COLOR =====
+/**
+ * Conversión entre HEX, RGB, HSL y OKLCH y contraste WCAG 2.x.
+ * Los colores se manejan como { r, g, b } con canales de 0 a 255.
+ */
+const ColorUtils = {
+    parseHex(hex) {
+        let value = String(hex).trim().replace(/^#/, '');
 
-    /**
-     * Inicializa el gestor de temas
-     */
-    init() {
-        // Verificar preferencia guardada o del sistema
-        const savedTheme = localStorage.getItem('theme');
-        const systemPrefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+        if (/^[0-9a-f]{3}$/i.test(value)) {
+            value = value.split('').map(char => char + char).join('');
+        }
 
-        if (savedTheme === 'dark' || (!savedTheme && systemPrefersDark)) {
-            this.enableDarkMode();
-        } else {
-            this.enableLightMode();
+        if (!/^[0-9a-f]{6}$/i.test(value)) {
+            throw new Error(`Color no válido: ${hex}`);
         }
 
-        this.setupEventListeners();
-        this.updateThemeUI();
+        return {
+            r: parseInt(value.slice(0, 2), 16),
+            g: parseInt(value.slice(2, 4), 16),
+            b: parseInt(value.slice(4, 6), 16)
+        };
+    },
+
+    isHex(value) {
+        return /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.test(String(value).trim());
+    },
+
+    toHex({ r, g, b }) {
+        const channel = (value) => Math.round(Math.min(255, Math.max(0, value))).toString(16).padStart(2, '0');
+        return `#${channel(r)}${channel(g)}${channel(b)}`.toUpperCase();
     },
 
     /**
-     * Habilita el modo oscuro
+     * RGB a HSL (h en grados, s y l en porcentaje)
      */
-    enableDarkMode() {
-        document.documentElement.classList.add('dark');
-        document.body.classList.add('dark');
-        this.isDarkMode = true;
-        localStorage.setItem('theme', 'dark');
+    rgbToHsl({ r, g, b }) {
+        const [red, green, blue] = [r / 255, g / 255, b / 255];
+        const max = Math.max(red, green, blue);
+        const min = Math.min(red, green, blue);
+        const l = (max + min) / 2;
+        let h = 0;
+        let s = 0;
+
+        if (max !== min) {
+            const d = max - min;
+            s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+
+            if (max === red) h = ((green - blue) / d + (green < blue ? 6 : 0)) * 60;
+            else if (max === green) h = ((blue - red) / d + 2) * 60;
+            else h = ((red - green) / d + 4) * 60;
+        }
+
+        return { h, s: s * 100, l: l * 100 };
+    },
+
+    hslToRgb({ h, s, l }) {
+        const hue = ((h % 360) + 360) % 360;
+        const sat = Math.min(100, Math.max(0, s)) / 100;
+        const light = Math.min(100, Math.max(0, l)) / 100;
+        const k = (n) => (n + hue / 30) % 12;
+        const a = sat * Math.min(light, 1 - light);
+        const f = (n) => light - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+
+        return { r: f(0) * 255, g: f(8) * 255, b: f(4) * 255 };
     },
 
     /**
-     * Habilita el modo claro
+     * Canal sRGB (0-255) a valor lineal y viceversa
      */
-    enableLightMode() {
-        document.documentElement.classList.remove('dark');
-        document.body.classList.remove('dark');
-        this.isDarkMode = false;
-        localStorage.setItem('theme', 'light');
+    toLinear(channel) {
+        const c = channel / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    },
+
+    fromLinear(value) {
+        const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+        return c * 255;
     },
 
     /**
-     * Alterna entre modo oscuro y claro
+     * RGB a OKLCH (l de 0 a 1, c croma, h en grados)
      */
-    toggleTheme() {
-        if (this.isDarkMode) {
-            this.enableLightMode();
-        } else {
-            this.enableDarkMode();
-        }
-        this.updateThemeUI();
+    rgbToOklch(rgb) {
+        const r = this.toLinear(rgb.r);
+        const g = this.toLinear(rgb.g);
+        const b = this.toLinear(rgb.b);
+
+        const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+        const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+        const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+        const L = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+        const A = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+        const B = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+
+        const c = Math.sqrt(A * A + B * B);
+        const h = c < 0.0001 ? 0 : (Math.atan2(B, A) * 180 / Math.PI + 360) % 360;
+
+        return { l: L, c, h };
     },
 
     /**
-     * Actualiza la interfaz del tema (iconos, textos)
+     * OKLCH a RGB; reduce el croma hasta que el color cabe en sRGB
      */
-    updateThemeUI() {
-        const themeButtons = document.querySelectorAll('[data-theme-toggle]');
-        const themeStatus = document.getElementById('theme-status');
+    oklchToRgb({ l, c, h }) {
+        const convert = (chroma) => {
+            const A = chroma * Math.cos(h * Math.PI / 180);
+            const B = chroma * Math.sin(h * Math.PI / 180);
+
+            const lc = Math.pow(l + 0.3963377774 * A + 0.2158037573 * B, 3);
+            const mc = Math.pow(l - 0.1055613458 * A - 0.0638541728 * B, 3);
+            const sc = Math.pow(l - 0.0894841775 * A - 1.2914855480 * B, 3);
+
+            return [
+                4.0767416621 * lc - 3.3077115913 * mc + 0.2309699292 * sc,
+                -1.2684380046 * lc + 2.6097574011 * mc - 0.3413193965 * sc,
+                -0.0041960863 * lc - 0.7034186147 * mc + 1.7076147010 * sc
+            ];
+        };
 
-        // Actualizar iconos en botones
-        themeButtons.forEach(button => {
-            const icon = button.querySelector('.theme-icon');
-            if (icon) {
-                icon.textContent = this.isDarkMode ? '🌞' : '🌙';
-            }
-            button.setAttribute('aria-label',
-                this.isDarkMode ? 'Cambiar a modo claro' : 'Cambiar a modo oscuro');
-        });
+        let chroma = c;
+        let linear = convert(chroma);
 
-        // Actualizar texto de estado
-        if (themeStatus) {
-            themeStatus.textContent = this.isDarkMode ? 'Oscuro' : 'Claro';
+        while (chroma > 0 && linear.some(value => value < -0.0001 || value > 1.0001)) {
+            chroma = Math.max(0, chroma - 0.005);
+            linear = convert(chroma);
         }
 
-        // Actualizar colores dinámicamente
-        this.updateDynamicColors();
+        const [r, g, b] = linear.map(value => this.fromLinear(Math.min(1, Math.max(0, value))));
+        return { r, g, b };
     },
 
     /**
-     * Actualiza colores dinámicos en la página
+     * Escala de tonos a partir de un color base, calculada en OKLCH para que los pasos sean uniformes.
+     * El color base ocupa el tono `anchor`; el resto se aclara u oscurece hacia los extremos.
+     * @param {string} hex - Color base
+     * @param {number[]} shades - Tonos de claro a oscuro, p. ej. [50, 100, ..., 900]
+     * @param {number} anchor - Tono que corresponde al color base
+     * @returns {Object} { tono: HEX }
      */
-    updateDynamicColors() {
-        const root = document.documentElement;
+    generateShades(hex, shades, anchor, { lightest = 0.97, darkest = 0.25 } = {}) {
+        const base = this.rgbToOklch(this.parseHex(hex));
+        const anchorIndex = shades.indexOf(anchor);
+        const last = shades.length - 1;
+
+        return Object.fromEntries(shades.map((shade, index) => {
+            if (index === anchorIndex) return [shade, this.toHex(this.parseHex(hex))];
+
+            const lighter = index < anchorIndex;
+            const t = lighter ? (anchorIndex - index) / anchorIndex : (index - anchorIndex) / (last - anchorIndex);
+            const l = lighter
+                ? base.l + (Math.max(lightest, base.l) - base.l) * t
+                : base.l - (base.l - Math.min(darkest, base.l)) * t;
+            const c = base.c * (1 - (lighter ? 0.75 : 0.35) * t);
+
+            return [shade, this.toHex(this.oklchToRgb({ l, c, h: base.h }))];
+        }));
+    },
 
-        if (this.isDarkMode) {
-            root.style.setProperty('--bg-primary', '#0f172a');
-            root.style.setProperty('--bg-secondary', '#1e293b');
-            root.style.setProperty('--text-primary', '#f8fafc');
-            root.style.setProperty('--text-secondary', '#cbd5e1');
-        } else {
-            root.style.setProperty('--bg-primary', '#ffffff');
-            root.style.setProperty('--bg-secondary', '#f1f5f9');
-            root.style.setProperty('--text-primary', '#0f172a');
-            root.style.setProperty('--text-secondary', '#475569');
+    /**
+     * Representa un color HEX en el formato pedido
+     * @param {string} hex
+     * @param {string} format - 'hex' | 'rgb' | 'hsl' | 'oklch'
+     */
+    format(hex, format = 'hex') {
+        const rgb = this.parseHex(hex);
+        const round = (value, decimals = 0) => Number(value.toFixed(decimals));
+
+        switch (format) {
+            case 'rgb':
+                return `rgb(${rgb.r} ${rgb.g} ${rgb.b})`;
+            case 'hsl': {
+                const { h, s, l } = this.rgbToHsl(rgb);
+                return `hsl(${round(h)} ${round(s)}% ${round(l)}%)`;
+            }
+            case 'oklch': {
+                const { l, c, h } = this.rgbToOklch(rgb);
+                return `oklch(${round(l * 100, 1)}% ${round(c, 3)} ${round(h, 1)})`;
+            }
+            default:
+                return this.toHex(rgb);
         }
     },
 
     /**
-     * Configura los event listeners para los botones de tema
+     * Luminancia relativa según WCAG 2.x
      */
-    setupEventListeners() {
-        // Botones con data-theme-toggle
-        document.querySelectorAll('[data-theme-toggle]').forEach(button => {
-            button.addEventListener('click', () => this.toggleTheme());
-        });
-
-        // Botones específicos (para compatibilidad)
-        const themeToggleBtn = document.getElementById('theme-toggle');
-        const themeToggleMobile = document.getElementById('theme-toggle-mobile');
-
-        if (themeToggleBtn) {
-            themeToggleBtn.addEventListener('click', () => this.toggleTheme());
-        }
+    getLuminance(hex) {
+        const { r, g, b } = this.parseHex(hex);
+        return 0.2126 * this.toLinear(r) + 0.7152 * this.toLinear(g) + 0.0722 * this.toLinear(b);
+    },
 
-        if (themeToggleMobile) {
-            themeToggleMobile.addEventListener('click', () => this.toggleTheme());
-        }
+    /**
+     * Relación de contraste entre dos colores (de 1 a 21)
+     */
+    getContrast(foreground, background) {
+        const a = this.getLuminance(foreground);
+        const b = this.getLuminance(background);
+        return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+    },
 
-        // Escuchar cambios en la preferencia del sistema
-        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-            if (!localStorage.getItem('theme')) {
-                if (e.matches) {
-                    this.enableDarkMode();
-                } else {
-                    this.enableLightMode();
-                }
-                this.updateThemeUI();
-            }
-        });
+    /**
+     * Nivel WCAG alcanzado por una relación de contraste
+     * @returns {{ level: string, passes: boolean }} AAA, AA, AA grande (texto ≥ 18pt) o Falla
+     */
+    getWcagLevel(ratio) {
+        if (ratio >= 7) return { level: 'AAA', passes: true };
+        if (ratio >= 4.5) return { level: 'AA', passes: true };
+        if (ratio >= 3) return { level: 'AA grande', passes: false };
+        return { level: 'Falla', passes: false };
     }
 };
 
@@ -889,11 +2323,18 @@ const Calculator = {
     previousOperand: '',
     operation: null,
     shouldResetScreen: false,
+    // Dígitos significativos de los resultados y formato de la pantalla
+    precision: 20,
+    locale: 'es',
 
     /**
      * Inicializa la calculadora
+     * @param {Object} options - { precision, locale }
      */
-    init() {
+    init(options = {}) {
+        if (options.precision) this.precision = options.precision;
+        if (options.locale) this.locale = options.locale;
+
         this.display = document.getElementById('calculator-display');
         this.previousDisplay = document.getElementById('previous-operand');
 
@@ -955,7 +2396,7 @@ const Calculator = {
             if (e.key >= '0' && e.key <= '9') {
                 this.appendNumber(e.key);
                 this.updateDisplay();
-            } else if (e.key === '.') {
+            } else if (e.key === '.' || e.key === ',') {
                 this.appendNumber('.');
                 this.updateDisplay();
             } else if (e.key === '+' || e.key === '-' || e.key === '*' || e.key === '/') {
@@ -998,6 +2439,11 @@ const Calculator = {
     chooseOperation(operation) {
         if (this.currentOperand === '') return;
 
+        // Tras un error se empieza de nuevo desde 0
+        if (this.currentOperand === 'Error: Div/0') {
+            this.clear();
+        }
+
         if (this.previousOperand !== '') {
             this.compute();
         }
@@ -1008,44 +2454,51 @@ const Calculator = {
     },
 
     /**
-     * Realiza el cálculo
+     * Realiza el cálculo con aritmética decimal exacta
      */
     compute() {
-        let computation;
-        const prev = parseFloat(this.previousOperand);
-        const current = parseFloat(this.currentOperand);
+        if (this.previousOperand === '' || this.currentOperand === '') return;
+        if (this.previousOperand === 'Error: Div/0' || this.currentOperand === 'Error: Div/0') return;
 
-        if (isNaN(prev) || isNaN(current)) return;
+        let prev;
+        let current;
+
+        try {
+            prev = DecimalMath.parse(this.previousOperand);
+            current = DecimalMath.parse(this.currentOperand);
+        } catch (error) {
+            // Operando no numérico: no se calcula nada
+            return;
+        }
+
+        let computation;
 
         switch (this.operation) {
             case '+':
-                computation = prev + current;
+                computation = DecimalMath.add(prev, current);
                 break;
             case '-':
-                computation = prev - current;
+                computation = DecimalMath.subtract(prev, current);
                 break;
             case '×':
             case '*':
-                computation = prev * current;
+                computation = DecimalMath.multiply(prev, current);
                 break;
             case '÷':
             case '/':
-                if (current === 0) {
+                if (DecimalMath.isZero(current)) {
                     computation = 'Error: Div/0';
                 } else {
-                    computation = prev / current;
+                    computation = DecimalMath.divide(prev, current, this.precision);
                 }
                 break;
             default:
                 return;
         }
 
-        if (typeof computation === 'number') {
-            // Limitar decimales
-            computation = parseFloat(computation.toFixed(10));
-        }
-
-        this.currentOperand = computation.toString();
+        this.currentOperand = typeof computation === 'string'
+            ? computation
+            : DecimalMath.toString(DecimalMath.round(computation, this.precision));
         this.operation = null;
         this.previousOperand = '';
         this.shouldResetScreen = true;
@@ -1061,40 +2514,51 @@ const Calculator = {
     },
 
     /**
-     * Borra el último dígito
+     * Borra el último dígito. Sobre un resultado se pasa a editarlo como un
+     * número tecleado; si no queda ningún dígito (o queda media notación
+     * científica) se vuelve a 0.
      */
     delete() {
+        this.shouldResetScreen = false;
+
         if (this.currentOperand.length === 1 || this.currentOperand === 'Error: Div/0') {
             this.currentOperand = '0';
-        } else {
-            this.currentOperand = this.currentOperand.slice(0, -1);
+            return;
         }
+
+        const rest = this.currentOperand.slice(0, -1);
+        this.currentOperand = /^-?\d*\.?\d*$/.test(rest) && /\d/.test(rest) ? rest : '0';
     },
 
     /**
-     * Formatea el número para mostrar
+     * Formatea el número para mostrar. Los resultados usan el formato del
+     * idioma (y notación científica si hace falta); lo que se está escribiendo
+     * conserva el punto final y los ceros decimales tecleados.
      */
-    getDisplayNumber(number) {
-        if (number === 'Error: Div/0') return number;
+    getDisplayNumber(number, isResult = false) {
+        if (number === 'Error: Div/0' || number === '') return number;
+
+        if (isResult) {
+            try {
+                return DecimalMath.format(DecimalMath.parse(number), { locale: this.locale });
+            } catch (error) {
+                // Número a medio escribir: se muestra tal cual se tecleó
+            }
+        }
 
-        const stringNumber = number.toString();
-        const integerDigits = parseFloat(stringNumber.split('.')[0]);
-        const decimalDigits = stringNumber.split('.')[1];
+        const [integerPart, decimalDigits] = number.split('.');
+        const { decimal } = DecimalMath.getSeparators(this.locale);
+        const negative = integerPart.startsWith('-');
+        const digits = integerPart.replace('-', '');
 
-        let integerDisplay;
-        if (isNaN(integerDigits)) {
-            integerDisplay = '';
-        } else {
-            integerDisplay = integerDigits.toLocaleString('es', {
-                maximumFractionDigits: 0
-            });
-        }
+        const integerDisplay = digits === '' ? '' : BigInt(digits).toLocaleString(this.locale);
+        const sign = negative ? '-' : '';
 
         if (decimalDigits != null) {
-            return `${integerDisplay}.${decimalDigits}`;
-        } else {
-            return integerDisplay;
+            return `${sign}${integerDisplay || '0'}${decimal}${decimalDigits}`;
         }
+
+        return `${sign}${integerDisplay}`;
     },
 
     /**
@@ -1102,13 +2566,13 @@ const Calculator = {
      */
     updateDisplay() {
         if (this.display) {
-            this.display.textContent = this.getDisplayNumber(this.currentOperand);
+            this.display.textContent = this.getDisplayNumber(this.currentOperand, this.shouldResetScreen);
         }
 
         if (this.previousDisplay) {
             if (this.operation != null) {
                 this.previousDisplay.textContent =
-                    `${this.getDisplayNumber(this.previousOperand)} ${this.operation}`;
+                    `${this.getDisplayNumber(this.previousOperand, true)} ${this.operation}`;
             } else {
                 this.previousDisplay.textContent = '';
             }
@@ -1116,6 +2580,186 @@ const Calculator = {
     }
 };
 
+// ===== MÓDULO 7.1: ARITMÉTICA DECIMAL EXACTA =====
+/**
+ * Números decimales como { coefficient: BigInt, scale }, con valor
+ * coefficient / 10^scale. Suma, resta y multiplicación son exactas;
+ * la división y el redondeo trabajan con dígitos significativos.
+ */
+const DecimalMath = {
+    precision: 20,
+    // Exponentes a partir de los que se usa notación científica
+    scientificAbove: 15,
+    scientificBelow: -7,
+
+    /**
+     * Convierte texto ("-12.5", "1.2e-3") o número en decimal
+     */
+    parse(value) {
+        const text = String(value).trim();
+        const match = text.match(/^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/);
+
+        if (!match || (match[2] === '' && !match[3])) {
+            throw new Error(`Número no válido: ${text}`);
+        }
+
+        const [, sign, integerPart, fractionPart = '', exponent = '0'] = match;
+        const coefficient = BigInt(`${integerPart}${fractionPart}` || '0');
+
+        return this.normalize({
+            coefficient: sign === '-' ? -coefficient : coefficient,
+            scale: fractionPart.length - parseInt(exponent, 10)
+        });
+    },
+
+    /**
+     * Quita los ceros sobrantes del coeficiente
+     */
+    normalize({ coefficient, scale }) {
+        if (coefficient === 0n) return { coefficient: 0n, scale: 0 };
+
+        while (coefficient % 10n === 0n) {
+            coefficient /= 10n;
+            scale--;
+        }
+
+        return { coefficient, scale };
+    },
+
+    isZero(value) {
+        return value.coefficient === 0n;
+    },
+
+    /**
+     * Lleva dos decimales a la misma escala
+     */
+    align(a, b) {
+        const scale = Math.max(a.scale, b.scale);
+        return [
+            a.coefficient * 10n ** BigInt(scale - a.scale),
+            b.coefficient * 10n ** BigInt(scale - b.scale),
+            scale
+        ];
+    },
+
+    add(a, b) {
+        const [x, y, scale] = this.align(a, b);
+        return this.normalize({ coefficient: x + y, scale });
+    },
+
+    subtract(a, b) {
+        const [x, y, scale] = this.align(a, b);
+        return this.normalize({ coefficient: x - y, scale });
+    },
+
+    multiply(a, b) {
+        return this.normalize({ coefficient: a.coefficient * b.coefficient, scale: a.scale + b.scale });
+    },
+
+    /**
+     * División con `precision` dígitos significativos
+     */
+    divide(a, b, precision = this.precision) {
+        if (this.isZero(b)) throw new Error('División entre cero');
+        if (this.isZero(a)) return { coefficient: 0n, scale: 0 };
+
+        const negative = (a.coefficient < 0n) !== (b.coefficient < 0n);
+        const dividend = a.coefficient < 0n ? -a.coefficient : a.coefficient;
+        const divisor = b.coefficient < 0n ? -b.coefficient : b.coefficient;
+
+        // Un dígito de más para poder redondear
+        const shift = Math.max(0, precision + 1 + divisor.toString().length - dividend.toString().length);
+        const quotient = dividend * 10n ** BigInt(shift) / divisor;
+
+        return this.round({
+            coefficient: negative ? -quotient : quotient,
+            scale: a.scale - b.scale + shift
+        }, precision);
+    },
+
+    /**
+     * Redondea a `precision` dígitos significativos (mitad hacia arriba)
+     */
+    round(value, precision = this.precision) {
+        const negative = value.coefficient < 0n;
+        const absolute = negative ? -value.coefficient : value.coefficient;
+        const extra = absolute.toString().length - precision;
+
+        if (extra <= 0) return this.normalize(value);
+
+        const divisor = 10n ** BigInt(extra);
+        let rounded = absolute / divisor;
+        if ((absolute % divisor) * 2n >= divisor) rounded++;
+
+        return this.normalize({
+            coefficient: negative ? -rounded : rounded,
+            scale: value.scale - extra
+        });
+    },
+
+    /**
+     * Texto sin exponente con punto decimal ("-0.0012", "1200")
+     */
+    toString({ coefficient, scale }) {
+        const negative = coefficient < 0n;
+        let digits = (negative ? -coefficient : coefficient).toString();
+
+        if (scale <= 0) {
+            digits += '0'.repeat(-scale);
+        } else {
+            digits = digits.padStart(scale + 1, '0');
+            digits = `${digits.slice(0, -scale)}.${digits.slice(-scale)}`;
+        }
+
+        return `${negative ? '-' : ''}${digits}`;
+    },
+
+    /**
+     * Exponente decimal de la primera cifra significativa
+     */
+    getExponent({ coefficient, scale }) {
+        const digits = (coefficient < 0n ? -coefficient : coefficient).toString();
+        return digits.length - 1 - scale;
+    },
+
+    /**
+     * Separadores de miles y decimales del idioma
+     */
+    getSeparators(locale) {
+        const parts = new Intl.NumberFormat(locale).formatToParts(11111.1);
+        return {
+            group: parts.find(part => part.type === 'group')?.value || '',
+            decimal: parts.find(part => part.type === 'decimal')?.value || '.'
+        };
+    },
+
+    /**
+     * Formatea según el idioma; usa notación científica (1,5E+20) para
+     * valores muy grandes o muy pequeños
+     */
+    format(value, options = {}) {
+        const locale = options.locale || 'es';
+        const { decimal } = this.getSeparators(locale);
+        const negative = value.coefficient < 0n;
+        const sign = negative ? '-' : '';
+
+        if (this.isZero(value)) return '0';
+
+        const exponent = this.getExponent(value);
+
+        if (exponent >= this.scientificAbove || exponent <= this.scientificBelow) {
+            const digits = (negative ? -value.coefficient : value.coefficient).toString();
+            const mantissa = digits.length > 1 ? `${digits[0]}${decimal}${digits.slice(1)}` : digits;
+            return `${sign}${mantissa}E${exponent > 0 ? '+' : ''}${exponent}`;
+        }
+
+        const [integerPart, fractionPart] = this.toString(value).replace('-', '').split('.');
+        const integerDisplay = BigInt(integerPart).toLocaleString(locale);
+
+        return fractionPart ? `${sign}${integerDisplay}${decimal}${fractionPart}` : `${sign}${integerDisplay}`;
+    }
+};
+
 // ===== MÓDULO 8: INICIALIZACIÓN GLOBAL =====
 const App = {
     /**
@@ -1124,12 +2768,14 @@ const App = {
     init() {
         console.log('Inicializando aplicación web...');
 
-        // Inicializar gestor de temas
-        ThemeManager.init();
+        // Avisar de datos dañados o sin espacio para guardar
+        this.setupStorageWarnings();
 
         // Inicializar lista dinámica
         if (document.getElementById('lista-dinamica')) {
             DynamicList.init();
+            ItemEditor.init();
+            CommandHistory.init();
             this.setupFormValidation();
         }
 
@@ -1164,17 +2810,28 @@ const App = {
         const form = document.getElementById('data-form');
         if (!form) return;
 
-        form.addEventListener('submit', (e) => {
+        FormValidator.attach('data-form');
+
+        form.addEventListener('submit', async (e) => {
             e.preventDefault();
 
-            if (FormValidator.validateForm('data-form')) {
+            if (await FormValidator.validateForm('data-form')) {
                 // Obtener datos del formulario
                 const formData = {
-                    title: document.getElementById('item-title')?.value || 'Sin título',
-                    description: document.getElementById('item-description')?.value || '',
-                    value: document.getElementById('item-value')?.value || ''
+                    title: document.getElementById('item-title')?.value.trim() || 'Sin título',
+                    description: document.getElementById('item-description')?.value.trim() || '',
+                    value: document.getElementById('item-value')?.value || '',
+                    category: document.getElementById('item-category')?.value,
+                    priority: document.getElementById('item-priority')?.value,
+                    date: document.getElementById('item-date')?.value
                 };
 
+                // Guardar la edición en curso en lugar de crear un item nuevo
+                if (ItemEditor.isEditing()) {
+                    ItemEditor.save(formData);
+                    return;
+                }
+
                 // Agregar a la lista dinámica
                 DynamicList.addItem(formData);
 
@@ -1189,6 +2846,22 @@ const App = {
         });
     },
 
+    /**
+     * Muestra los problemas de AppStorage, también los detectados antes de cargar la página
+     */
+    setupStorageWarnings() {
+        const messages = {
+            corrupt: label => `⚠️ Datos dañados en ${label}: se han restablecido`,
+            quota: label => `⚠️ No hay espacio para guardar ${label}. Libera espacio en el navegador o borra datos antiguos`,
+            unavailable: label => `⚠️ El navegador no permite guardar datos: ${label} no se conservará`,
+            migration: () => '⚠️ No se pudieron actualizar los datos guardados; se reintentará al recargar'
+        };
+
+        AppStorage.onProblem(({ reason, label }) => {
+            if (messages[reason]) this.showNotification(messages[reason](label), 'error');
+        });
+    },
+
     /**
      * Configura el menú móvil
      */
@@ -1235,9 +2908,10 @@ const App = {
     },
 
     /**
-     * Muestra una notificación temporal
+     * Muestra una notificación temporal.
+     * Opcionalmente incluye una acción ({ label, handler }), p. ej. "Deshacer".
      */
-    showNotification(message, type = 'info') {
+    showNotification(message, type = 'info', action = null) {
         const notification = DOMManager.createElement('div', {
             className: `notification notification-${type}`,
             id: 'temp-notification'
@@ -1264,17 +2938,44 @@ const App = {
             notification.style.background = 'linear-gradient(135deg, #6A00F4, #8900F2)';
         }
 
-        document.body.appendChild(notification);
-
-        // Remover después de 3 segundos
-        setTimeout(() => {
+        const dismiss = () => {
             notification.style.animation = 'slideOut 0.3s ease-out';
             setTimeout(() => {
                 if (notification.parentNode) {
                     notification.parentNode.removeChild(notification);
                 }
             }, 300);
-        }, 3000);
+        };
+
+        if (action) {
+            const actionButton = DOMManager.createElement('button', {
+                type: 'button',
+                className: 'notification-action'
+            }, action.label);
+
+            actionButton.style.cssText = `
+                margin-left: 1rem;
+                padding: 0.25rem 0.75rem;
+                border-radius: 6px;
+                border: 1px solid rgba(255, 255, 255, 0.6);
+                background: rgba(255, 255, 255, 0.2);
+                color: white;
+                font-weight: 600;
+                cursor: pointer;
+            `;
+
+            actionButton.addEventListener('click', () => {
+                action.handler();
+                dismiss();
+            });
+
+            notification.appendChild(actionButton);
+        }
+
+        document.body.appendChild(notification);
+
+        // Remover después de 3 segundos (más tiempo si hay una acción disponible)
+        setTimeout(dismiss, action ? 6000 : 3000);
     },
 
     /**
@@ -1306,10 +3007,13 @@ document.addEventListener('DOMContentLoaded', () => {
     window.App = App;
     window.FormValidator = FormValidator;
     window.DynamicList = DynamicList;
+    window.ItemEditor = ItemEditor;
+    window.CommandHistory = CommandHistory;
     window.ImageCarousel = ImageCarousel;
     window.InteractiveGallery = InteractiveGallery;
-    window.ThemeManager = ThemeManager;
     window.Calculator = Calculator;
+    window.DecimalMath = DecimalMath;
+    window.ColorUtils = ColorUtils;
 });
 
 // ===== POLYFILLS Y FUNCIONES DE COMPATIBILIDAD =====
@@ -0,0 +1,96 @@
+/**
+ * Sincronización entre pestañas
+ * - Avisa a los módulos cuando otra pestaña escribe una clave de AppStorage
+ * - Escucha el evento `storage` y, si el navegador lo admite, un BroadcastChannel
+ * - Un mismo cambio puede llegar por las dos vías: los suscriptores deben ser idempotentes
+ *   (releer localStorage y no hacer nada si no hay diferencias)
+ * - Se carga sin defer en el <head>, después de almacenamiento.js y antes de tema.js
+ */
+
+// ===== SINCRONIZACIÓN ENTRE PESTAÑAS =====
+const StorageSync = {
+    channelName: 'proyecto-sync',
+    channel: null,
+    listeners: {},
+
+    /**
+     * Escucha los cambios hechos en otras pestañas
+     */
+    init() {
+        window.addEventListener('storage', (e) => {
+            if (e.storageArea && e.storageArea !== window.localStorage) return;
+
+            // key es null cuando otra pestaña vacía todo el almacenamiento
+            if (e.key === null) {
+                this.dispatch(null);
+                return;
+            }
+
+            const name = AppStorage.nameOf(e.key);
+            if (name !== null) this.dispatch(name);
+        });
+
+        if ('BroadcastChannel' in window) {
+            try {
+                this.channel = new BroadcastChannel(this.channelName);
+                this.channel.addEventListener('message', (e) => {
+                    if (e.data && typeof e.data.key === 'string') this.dispatch(e.data.key);
+                });
+            } catch (error) {
+                this.channel = null;
+            }
+        }
+    },
+
+    /**
+     * Se suscribe a los cambios de una o varias claves hechos en otras pestañas
+     * @param {string|string[]} keys - Nombres de AppStorage (sin espacio de nombres)
+     * @param {Function} callback - Recibe la clave que cambió
+     * @returns {Function} Cancela la suscripción
+     */
+    subscribe(keys, callback) {
+        const list = [].concat(keys);
+
+        list.forEach(key => {
+            this.listeners[key] = [...(this.listeners[key] || []), callback];
+        });
+
+        return () => list.forEach(key => {
+            this.listeners[key] = (this.listeners[key] || []).filter(other => other !== callback);
+        });
+    },
+
+    /**
+     * Anuncia a las demás pestañas que esta acaba de escribir una clave (lo hace AppStorage.set)
+     */
+    notify(key) {
+        if (!this.channel) return;
+
+        try {
+            this.channel.postMessage({ key: key });
+        } catch (error) {
+            // Las demás pestañas se enterarán por el evento storage
+        }
+    },
+
+    /**
+     * Llama una sola vez a cada suscriptor afectado por el cambio
+     */
+    dispatch(key) {
+        const keys = key === null ? Object.keys(this.listeners) : [key];
+        const callbacks = new Set(keys.flatMap(name => this.listeners[name] || []));
+
+        callbacks.forEach(callback => {
+            try {
+                callback(key);
+            } catch (error) {
+                console.error(`Error al sincronizar «${key}»:`, error);
+            }
+        });
+    }
+};
+
+StorageSync.init();
+
+// Exponer al scope global para acceso desde HTML
+window.StorageSync = StorageSync;
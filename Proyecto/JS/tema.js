@@ -1,174 +1,422 @@
 /**
- * Sistema de Tema Unificado
- * Maneja el modo claro/oscuro en todas las páginas
+ * Motor de temas unificado
+ * - Único responsable de la clase `dark` y de la clave `theme` (AppStorage)
+ * - Preferencias: auto (sigue al sistema), claro, oscuro y temas con nombre
+ *   (alto contraste, sepia) definidos como conjuntos de variables --color-*
+ * - Se carga sin defer en el <head> para aplicar el tema antes del primer pintado
+ * - Un único evento `themeChanged` en document al que se suscriben los demás módulos
+ * - Temas personalizados (editor de temas de utilidades) guardados en AppStorage
+ * - Los cambios de otras pestañas se aplican al momento (StorageSync, sincronizacion.js)
  */
 
-class SistemaTema {
-    constructor() {
-        this.isDarkMode = false;
-        this.init();
-    }
+// ===== MOTOR DE TEMAS =====
+const ThemeManager = {
+    storageKey: 'theme',
+    customStorageKey: 'customThemes',
+    customPrefix: 'custom-',
+    eventName: 'themeChanged',
+    mediaQuery: '(prefers-color-scheme: dark)',
+
+    /**
+     * Temas disponibles: { label, dark, colors }
+     * dark decide la clase `dark` (estilos .dark ...); colors sobrescribe variables de estilos.css
+     */
+    themes: {
+        light: { label: 'Claro', dark: false, colors: {} },
+        dark: { label: 'Oscuro', dark: true, colors: {} },
+        'high-contrast': {
+            label: 'Alto contraste',
+            dark: true,
+            colors: {
+                '--color-primary-50': '#F5EDFF',
+                '--color-primary-100': '#ECDCFF',
+                '--color-primary-200': '#EBDDFF',
+                '--color-primary-300': '#DCC4FF',
+                '--color-primary-400': '#D0B0FF',
+                '--color-primary-500': '#BB85FF',
+                '--color-primary-600': '#9E3EFF',
+                '--color-primary-700': '#7A00F0',
+                '--color-primary-800': '#6200C4',
+                '--color-primary-900': '#4B0099',
+                '--color-neutral-50': '#FFFFFF',
+                '--color-neutral-100': '#FFFFFF',
+                '--color-neutral-200': '#F5F5F5',
+                '--color-neutral-300': '#E5E5E5',
+                '--color-neutral-400': '#D4D4D4',
+                '--color-neutral-500': '#A3A3A3',
+                '--color-neutral-600': '#737373',
+                '--color-neutral-700': '#262626',
+                '--color-neutral-800': '#0A0A0A',
+                '--color-neutral-900': '#000000'
+            }
+        },
+        sepia: {
+            label: 'Sepia',
+            dark: false,
+            colors: {
+                '--color-primary-50': '#F7EDE4',
+                '--color-primary-100': '#EFDCC9',
+                '--color-primary-200': '#E2C09F',
+                '--color-primary-300': '#D1A070',
+                '--color-primary-400': '#BD8250',
+                '--color-primary-500': '#A5683A',
+                '--color-primary-600': '#8B5A2B',
+                '--color-primary-700': '#744A23',
+                '--color-primary-800': '#5E3B1C',
+                '--color-primary-900': '#472C15',
+                '--color-secondary-100': '#C9753D',
+                '--color-secondary-200': '#B8652F',
+                '--color-secondary-300': '#A65A2A',
+                '--color-secondary-400': '#944F26',
+                '--color-secondary-500': '#834522',
+                '--color-secondary-600': '#6F3A1D',
+                '--color-neutral-50': '#FBF5E9',
+                '--color-neutral-100': '#F4EAD5',
+                '--color-neutral-200': '#E9DBBD',
+                '--color-neutral-300': '#D9C5A0',
+                '--color-neutral-400': '#B8A07A',
+                '--color-neutral-500': '#8F7757',
+                '--color-neutral-600': '#6E5A40',
+                '--color-neutral-700': '#54432F',
+                '--color-neutral-800': '#3B2F21',
+                '--color-neutral-900': '#2A2116',
+                '--color-surface': '#F4ECD8',
+                '--color-text': '#3B2F21'
+            }
+        }
+    },
 
+    // Variables que puede definir un tema y valores aceptados
+    variablePattern: /^--color-[a-z]+(-\d+)?$/,
+    valuePattern: /^#([0-9a-f]{3}|[0-9a-f]{6})$/i,
+
+    preference: 'auto',
+    theme: 'light',
+    appliedColors: [],
+    previewing: false,
+
+    /**
+     * Aplica la preferencia guardada en cuanto se carga el script (aún sin <body>)
+     * y conecta los controles cuando el DOM está listo
+     */
     init() {
-        // Verificar preferencia guardada o del sistema
-        this.cargarPreferencia();
+        this.media = window.matchMedia ? window.matchMedia(this.mediaQuery) : null;
+        this.loadCustomThemes();
+        this.preference = this.loadPreference();
+        this.apply({ notify: false });
 
-        // Configurar event listeners
-        this.configurarEventos();
+        if (this.media && this.media.addEventListener) {
+            this.media.addEventListener('change', () => {
+                if (this.preference === 'auto') this.apply();
+            });
+        }
 
-        // Actualizar interfaz
-        this.actualizarUI();
-    }
+        if (window.StorageSync) {
+            StorageSync.subscribe([this.storageKey, this.customStorageKey], () => this.syncFromStorage());
+        }
 
-    cargarPreferencia() {
-        const htmlElement = document.documentElement;
-        const savedTheme = localStorage.getItem('theme');
-        const systemPrefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setupControls());
+        } else {
+            this.setupControls();
+        }
+    },
+
+    loadPreference() {
+        const saved = AppStorage.get(this.storageKey, 'auto');
+        return this.themes[saved] ? saved : 'auto';
+    },
+
+    /**
+     * Registra los temas personalizados guardados; se ignoran los que no son válidos
+     */
+    loadCustomThemes() {
+        Object.entries(AppStorage.get(this.customStorageKey, {})).forEach(([id, theme]) => {
+            const normalized = this.normalizeTheme(theme);
+            if (id.startsWith(this.customPrefix) && normalized) {
+                this.themes[id] = { ...normalized, custom: true };
+            }
+        });
+    },
+
+    saveCustomThemes() {
+        const custom = Object.fromEntries(Object.entries(this.themes)
+            .filter(([, theme]) => theme.custom)
+            .map(([id, { label, dark, colors }]) => [id, { label, dark, colors }]));
+
+        // Si no se puede guardar, el tema dura lo que la página
+        AppStorage.set(this.customStorageKey, custom);
+    },
 
-        if (savedTheme === 'dark' || (!savedTheme && systemPrefersDark)) {
-            htmlElement.classList.add('dark');
-            document.body.classList.add('dark');
-            this.isDarkMode = true;
+    /**
+     * Otra pestaña cambió el tema o los temas personalizados: se recargan y se aplican
+     */
+    syncFromStorage() {
+        const before = JSON.stringify([this.preference, this.getCustomThemes()]);
+
+        Object.keys(this.themes).forEach(id => {
+            if (this.themes[id].custom) delete this.themes[id];
+        });
+        this.loadCustomThemes();
+        this.preference = this.loadPreference();
+
+        if (JSON.stringify([this.preference, this.getCustomThemes()]) === before) return;
+
+        this.renderOptions();
+        this.apply();
+    },
+
+    /**
+     * Valida un tema { label, dark, colors }; solo se conservan variables --color-* con valor HEX
+     * @returns {Object|null}
+     */
+    normalizeTheme(theme) {
+        if (!theme || typeof theme !== 'object') return null;
+
+        const label = typeof theme.label === 'string' ? theme.label.trim().slice(0, 40) : '';
+        if (!label) return null;
+
+        const colors = Object.fromEntries(Object.entries(theme.colors || {})
+            .filter(([name, value]) => this.variablePattern.test(name) && this.valuePattern.test(value)));
+
+        return { label, dark: Boolean(theme.dark), colors };
+    },
+
+    /**
+     * Guarda (o reemplaza, si ya existe uno con ese mismo nombre) un tema personalizado
+     * @returns {string} id del tema
+     */
+    saveTheme(theme) {
+        const normalized = this.normalizeTheme(theme);
+        if (!normalized) throw new Error('El tema necesita un nombre');
+
+        const existing = this.getCustomThemes().find(other => other.label === normalized.label);
+        const id = existing ? existing.id : this.createThemeId(normalized.label);
+
+        this.themes[id] = { ...normalized, custom: true };
+        this.saveCustomThemes();
+        this.renderOptions();
+
+        return id;
+    },
+
+    /**
+     * Id libre a partir del nombre. Los nombres sin letras latinas («夜») o que solo
+     * se distinguen por una tilde («Mi tema», «Mí tema») dan el mismo slug: se numeran
+     */
+    createThemeId(label) {
+        const slug = label.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        const base = `${this.customPrefix}${slug || 'tema'}`;
+
+        let id = base;
+        for (let n = 2; this.themes[id]; n++) {
+            id = `${base}-${n}`;
+        }
+
+        return id;
+    },
+
+    /**
+     * Elimina un tema personalizado; si estaba en uso se vuelve a Auto
+     * @returns {Object|null} El tema eliminado (para deshacer)
+     */
+    removeTheme(id) {
+        const theme = this.themes[id];
+        if (!theme || !theme.custom) return null;
+
+        delete this.themes[id];
+        this.saveCustomThemes();
+        this.renderOptions();
+
+        if (this.preference === id) {
+            this.setTheme('auto');
         } else {
-            htmlElement.classList.remove('dark');
-            document.body.classList.remove('dark');
-            this.isDarkMode = false;
+            this.updateUI();
         }
-    }
 
-    alternarTema() {
-        const htmlElement = document.documentElement;
-        const body = document.body;
+        return theme;
+    },
+
+    getCustomThemes() {
+        return Object.entries(this.themes)
+            .filter(([, theme]) => theme.custom)
+            .map(([id, theme]) => ({ id, ...theme }));
+    },
 
-        if (this.isDarkMode) {
-            // Cambiar a modo claro
-            htmlElement.classList.remove('dark');
-            body.classList.remove('dark');
-            localStorage.setItem('theme', 'light');
-            this.isDarkMode = false;
+    /**
+     * Tema efectivo de una preferencia ('auto' depende del sistema)
+     */
+    resolve(preference = this.preference) {
+        if (preference !== 'auto') return preference;
+        return this.media && this.media.matches ? 'dark' : 'light';
+    },
+
+    isDark() {
+        return this.themes[this.theme].dark;
+    },
+
+    /**
+     * Cambia la preferencia: 'auto' o el id de un tema
+     * @returns {boolean} false si el tema no existe
+     */
+    setTheme(preference) {
+        if (preference !== 'auto' && !this.themes[preference]) return false;
+
+        this.preference = preference;
+
+        // Si no se puede guardar, el tema se aplica solo en esta página
+        if (preference === 'auto') {
+            AppStorage.remove(this.storageKey);
         } else {
-            // Cambiar a modo oscuro
-            htmlElement.classList.add('dark');
-            body.classList.add('dark');
-            localStorage.setItem('theme', 'dark');
-            this.isDarkMode = true;
+            AppStorage.set(this.storageKey, preference);
         }
 
-        this.actualizarUI();
-    }
+        this.apply();
+        return true;
+    },
+
+    toggleTheme() {
+        this.setTheme(this.isDark() ? 'light' : 'dark');
+    },
+
+    enableDarkMode() {
+        this.setTheme('dark');
+    },
+
+    enableLightMode() {
+        this.setTheme('light');
+    },
+
+    /**
+     * Pone la clase dark, data-theme y las variables del tema en <html>
+     */
+    apply({ notify = true } = {}) {
+        this.theme = this.resolve();
+        this.previewing = false;
+        this.paint(this.themes[this.theme]);
+        document.documentElement.dataset.theme = this.theme;
+
+        this.updateUI();
+
+        if (notify) {
+            document.dispatchEvent(new CustomEvent(this.eventName, { detail: this.getState() }));
+        }
+    },
+
+    paint(theme) {
+        const root = document.documentElement;
+
+        root.classList.toggle('dark', theme.dark);
+        if (document.body) document.body.classList.toggle('dark', theme.dark);
+        root.style.colorScheme = theme.dark ? 'dark' : 'light';
+
+        this.appliedColors.forEach(name => root.style.removeProperty(name));
+        Object.entries(theme.colors).forEach(([name, value]) => root.style.setProperty(name, value));
+        this.appliedColors = Object.keys(theme.colors);
+    },
+
+    /**
+     * Muestra un tema en toda la página sin guardarlo ni cambiar la preferencia
+     * @param {Object} theme - { dark, colors }
+     */
+    preview(theme) {
+        this.previewing = true;
+        this.paint({ dark: Boolean(theme.dark), colors: theme.colors || {} });
+    },
+
+    /**
+     * Vuelve al tema elegido tras una vista previa
+     */
+    endPreview() {
+        if (this.previewing) this.apply({ notify: false });
+    },
+
+    /**
+     * @returns {{ preference: string, theme: string, dark: boolean }}
+     */
+    getState() {
+        return { preference: this.preference, theme: this.theme, dark: this.isDark() };
+    },
+
+    /**
+     * Se suscribe al cambio de tema
+     * @returns {Function} Cancela la suscripción
+     */
+    onChange(callback) {
+        const handler = (e) => callback(e.detail);
+        document.addEventListener(this.eventName, handler);
+        return () => document.removeEventListener(this.eventName, handler);
+    },
+
+    /**
+     * Un único listener delegado para todos los botones de tema de la página
+     */
+    setupControls() {
+        document.body.classList.toggle('dark', this.isDark());
 
-    configurarEventos() {
-        // Botones con data-theme-toggle
         document.addEventListener('click', (e) => {
-            if (e.target.closest('[data-theme-toggle]')) {
-                this.alternarTema();
-            }
+            const toggle = e.target.closest('[data-theme-toggle], #theme-switch-main');
+            const option = e.target.closest('[data-theme-option]');
 
-            // También manejar botones específicos
-            if (e.target.id === 'theme-toggle' ||
-                e.target.id === 'theme-toggle-mobile' ||
-                e.target.closest('#theme-toggle') ||
-                e.target.closest('#theme-toggle-mobile')) {
-                this.alternarTema();
+            if (toggle) {
+                this.toggleTheme();
+            } else if (option) {
+                this.setTheme(option.dataset.themeOption);
             }
         });
 
-        // Botón principal en utilidades.html
-        const themeSwitchBtn = document.getElementById('theme-switch-main');
-        if (themeSwitchBtn) {
-            themeSwitchBtn.addEventListener('click', () => this.alternarTema());
-        }
+        this.renderOptions();
+        this.updateUI();
+    },
 
-        // Escuchar cambios en la preferencia del sistema
-        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-            if (!localStorage.getItem('theme')) {
-                if (e.matches) {
-                    this.isDarkMode = true;
-                    document.documentElement.classList.add('dark');
-                    document.body.classList.add('dark');
-                } else {
-                    this.isDarkMode = false;
-                    document.documentElement.classList.remove('dark');
-                    document.body.classList.remove('dark');
-                }
-                this.actualizarUI();
-            }
+    /**
+     * Rellena los contenedores [data-theme-options] con Auto y los temas registrados
+     */
+    renderOptions() {
+        const options = [['auto', 'Auto'], ...Object.entries(this.themes).map(([id, theme]) => [id, theme.label])];
+
+        document.querySelectorAll('[data-theme-options]').forEach(container => {
+            container.innerHTML = '';
+
+            options.forEach(([id, label]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'theme-option';
+                button.dataset.themeOption = id;
+                button.textContent = label;
+                container.appendChild(button);
+            });
         });
-    }
+    },
+
+    updateUI() {
+        if (!document.body) return;
+
+        const dark = this.isDark();
+        const label = this.themes[this.theme].label;
 
-    actualizarUI() {
-        // Actualizar iconos en botones
-        const themeButtons = document.querySelectorAll('[data-theme-toggle]');
-        themeButtons.forEach(button => {
+        document.querySelectorAll('[data-theme-toggle]').forEach(button => {
             const icon = button.querySelector('.theme-icon');
-            if (icon) {
-                icon.textContent = this.isDarkMode ? '🌞' : '🌙';
-            }
-            button.setAttribute('aria-label',
-                this.isDarkMode ? 'Cambiar a modo claro' : 'Cambiar a modo oscuro');
+            if (icon) icon.textContent = dark ? '🌞' : '🌙';
+            button.setAttribute('aria-label', dark ? 'Cambiar a modo claro' : 'Cambiar a modo oscuro');
         });
 
-        // Actualizar botón principal en utilidades.html
         const switchIcon = document.getElementById('switch-icon');
-        if (switchIcon) {
-            switchIcon.textContent = this.isDarkMode ? '🌞' : '🌙';
-        }
+        if (switchIcon) switchIcon.textContent = dark ? '🌞' : '🌙';
 
-        // Actualizar estado en utilidades.html
         const themeStatus = document.getElementById('theme-status');
-        if (themeStatus) {
-            themeStatus.textContent = this.isDarkMode ? 'Oscuro' : 'Claro';
-        }
+        if (themeStatus) themeStatus.textContent = this.preference === 'auto' ? `${label} (auto)` : label;
 
-        // Actualizar opciones de tema en utilidades.html
-        const themeOptions = document.querySelectorAll('.theme-option');
-        themeOptions.forEach(option => {
-            option.classList.remove('active');
-            const savedTheme = localStorage.getItem('theme') || 'auto';
-            if (option.dataset.theme === savedTheme) {
-                option.classList.add('active');
-            }
+        document.querySelectorAll('[data-theme-option]').forEach(option => {
+            const active = option.dataset.themeOption === this.preference;
+            option.classList.toggle('active', active);
+            option.setAttribute('aria-pressed', String(active));
         });
     }
+};
 
-    // Métodos públicos para usar desde otras páginas
-    cambiarAModoClaro() {
-        document.documentElement.classList.remove('dark');
-        document.body.classList.remove('dark');
-        localStorage.setItem('theme', 'light');
-        this.isDarkMode = false;
-        this.actualizarUI();
-    }
-
-    cambiarAModoOscuro() {
-        document.documentElement.classList.add('dark');
-        document.body.classList.add('dark');
-        localStorage.setItem('theme', 'dark');
-        this.isDarkMode = true;
-        this.actualizarUI();
-    }
+ThemeManager.init();
 
-    usarPreferenciaSistema() {
-        localStorage.removeItem('theme');
-        const systemPrefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-
-        if (systemPrefersDark) {
-            this.cambiarAModoOscuro();
-        } else {
-            this.cambiarAModoClaro();
-        }
-    }
-}
-
-// Inicializar cuando se cargue el DOM
-document.addEventListener('DOMContentLoaded', () => {
-    window.sistemaTema = new SistemaTema();
-
-    // También exponer métodos globales para retrocompatibilidad
-    window.ThemeManager = {
-        toggleTheme: () => window.sistemaTema.alternarTema(),
-        enableDarkMode: () => window.sistemaTema.cambiarAModoOscuro(),
-        enableLightMode: () => window.sistemaTema.cambiarAModoClaro(),
-        init: () => window.sistemaTema.init()
-    };
-});
\ No newline at end of file
+// Exponer al scope global para acceso desde HTML
+window.ThemeManager = ThemeManager;